@@ -0,0 +1,62 @@
+import crypto from 'crypto';
+import { RoutingTable, compareDistance, idAtDepth } from '#root/src/routing';
+
+
+/**
+ * Times `RoutingTable.closest` on large tables, such as those of bootstrap
+ * nodes, against sorting every node in the table.
+ * Usage: node bench/closest.js [table sizes...]
+ */
+const SIZES = process.argv.slice(2).map(Number);
+const QUERIES = 1000;
+
+
+/**
+ * A table as a busy node ends up with, every bucket down to the one holding
+ * our own id is full.
+ * @param {number} size The number of nodes.
+ * @return {RoutingTable} A table holding about `size` nodes.
+ */
+function createTable(size) {
+  const K = 256;
+  const localId = crypto.randomBytes(20);
+  const rt = new RoutingTable(localId, { K });
+
+  // local addresses are exempt from the address limits
+  for (let i = 0; i < size; i++) {
+    rt.recordResponse({
+      id: idAtDepth(localId, Math.floor(i / K)),
+      address: `10.${i >> 16}.${(i >> 8) & 0xff}.${i & 0xff}`,
+      port: 6881,
+      family: 'ipv4'
+    });
+  }
+  return rt;
+}
+
+
+/**
+ * @param {function(Buffer): any} fn The closest implementation.
+ * @param {Buffer[]} targets The targets to look up.
+ * @return {number} The mean time per lookup, in microseconds.
+ */
+function time(fn, targets) {
+  const start = process.hrtime.bigint();
+  for (let target of targets) fn(target);
+  return Number(process.hrtime.bigint() - start) / 1000 / targets.length;
+}
+
+
+for (let size of SIZES.length ? SIZES : [1000, 10000, 40000]) {
+  const rt = createTable(size);
+  const nodes = Object.values(rt._nodeMap);
+  const targets = Array.from({ length: QUERIES }, () => crypto.randomBytes(20));
+
+  const walk = time((target) => rt.closest(target, 8), targets);
+  const sort = time((target) => nodes.slice()
+      .sort((a, b) => compareDistance(target, a.id, b.id))
+      .slice(0, 8), targets.slice(0, 100));
+
+  console.log('%s nodes: closest %sus, full sort %sus',
+      rt.length, walk.toFixed(1), sort.toFixed(1));
+}
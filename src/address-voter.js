@@ -0,0 +1,94 @@
+import { LRUCache } from 'lru-cache';
+
+
+
+/** @define {number} */
+const DEFAULT_MIN_VOTES = 4;
+
+/** @define {number} */
+const MAX_VOTERS = 32;
+
+
+/**
+ * Learns our external address from the `ip` field other nodes include in
+ * their responses, as described in BEP-42.
+ * Each voter (by ip address) has a single vote, and only the most recent
+ * voters are counted so that a change of address is picked up. Votes are
+ * tallied per address family.
+ */
+export default class AddressVoter {
+  /**
+   * @param {{ minVotes?: number }=} opt_options Optionally the number of votes
+   *     required before an address is accepted.
+   */
+  constructor(opt_options) {
+    opt_options = opt_options || {};
+
+    /**
+     * @type {number}
+     * @private
+     */
+    this.minVotes_ = opt_options.minVotes || DEFAULT_MIN_VOTES;
+
+    /**
+     * The votes per family, keyed by the voter's address.
+     * @type {!Object.<string, LRUCache<string, string>>}
+     * @private
+     */
+    this.votes_ = {
+      'ipv4': new LRUCache({ max: MAX_VOTERS }),
+      'ipv6': new LRUCache({ max: MAX_VOTERS })
+    };
+
+    /**
+     * The current consensus per family.
+     * @type {!Object.<string, string|undefined>}
+     * @private
+     */
+    this.consensus_ = {};
+  }
+
+  /**
+   * Record a vote.
+   * @param {!PeerInfo} address Our address as seen by the voter.
+   * @param {!PeerInfo} voter The voting node.
+   * @return {boolean} Whether the consensus for the family changed.
+   */
+  vote(address, voter) {
+    const family = address.family === 'ipv6' ? 'ipv6' : 'ipv4';
+    const votes = this.votes_[family];
+    votes.set(voter.address, address.address);
+
+    /** @type {Object.<string, number>} */
+    const tally = {};
+    votes.forEach((addr) => tally[addr] = (tally[addr] || 0) + 1);
+
+    // the leader needs enough votes, and a tie keeps the current consensus
+    const [leader, count] = Object.entries(tally)
+        .sort((a, b) => b[1] - a[1])[0];
+    const isTied = Object.entries(tally)
+        .some(([addr, c]) => addr !== leader && c === count);
+    if (count < this.minVotes_ || isTied) return false;
+    if (leader === this.consensus_[family]) return false;
+
+    this.consensus_[family] = leader;
+    return true;
+  }
+
+  /**
+   * Get the current consensus of our external address.
+   * @param {'ipv4'|'ipv6'} family The address family.
+   * @return {string|undefined} The address, if known.
+   */
+  get(family) {
+    return this.consensus_[family];
+  }
+
+  /**
+   * Clear all votes.
+   */
+  dispose() {
+    this.votes_['ipv4'].clear();
+    this.votes_['ipv6'].clear();
+  }
+}
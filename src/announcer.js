@@ -0,0 +1,167 @@
+import EventEmitter from 'events';
+
+import debugLogger from 'debug';
+const debug = debugLogger('dht:announcer');
+
+
+
+/** @define {number} */
+const DEFAULT_INTERVAL = 1000 * 60 * 15;  // 15 minutes, half the peer ttl
+
+/** @define {number} */
+const DEFAULT_JITTER = 0.1;
+
+
+/**
+ * @typedef {{ interval?: number, jitter?: number }} AnnouncerOptions
+ * @typedef {{ port?: number, seed?: boolean }} AnnounceOptions
+ * @typedef {{
+ *   infohash: Buffer, succeeded: number, failed: number
+ * }} AnnounceRound
+ */
+
+
+/**
+ * Keeps announcing infohashes to the DHT, so that we stay in the peer lists
+ * of the nodes closest to them.
+ * Each infohash is announced when it is added and then again every
+ * `interval`, give or take `jitter` (a fraction of the interval) so that
+ * the rounds of many infohashes are spread out.
+ * An 'announce' event is emitted with an `AnnounceRound` after each round,
+ * and 'announce-error' with the infohash and error if a round fails
+ * altogether.
+ */
+export default class Announcer extends EventEmitter {
+  /**
+   * @param {import('./index.js').default} dht The DHT to announce on.
+   * @param {AnnouncerOptions=} opt_options Optionally the announce interval
+   *     and jitter.
+   */
+  constructor(dht, opt_options) {
+    super();
+    opt_options = opt_options || {};
+
+    /**
+     * @private
+     */
+    this.dht_ = dht;
+
+    /**
+     * @type {number}
+     * @private
+     */
+    this.interval_ = opt_options.interval || DEFAULT_INTERVAL;
+
+    /**
+     * @type {number}
+     * @private
+     */
+    this.jitter_ = opt_options.jitter === undefined ?
+        DEFAULT_JITTER : opt_options.jitter;
+
+    /**
+     * The announced infohashes, keyed by their hex.
+     * @type {!Map<string, { options: AnnounceOptions, timer?: NodeJS.Timeout }>}
+     * @private
+     */
+    this.entries_ = new Map();
+  }
+
+  /**
+   * Start announcing an infohash, or update how it is announced.
+   * @param {Buffer|string} infohash The infohash.
+   * @param {AnnounceOptions=} opt_options The port to announce, implied if
+   *     not given, and whether we are a seed.
+   */
+  add(infohash, opt_options) {
+    const key = toKey(infohash);
+    const existing = this.entries_.get(key);
+    if (existing) clearTimeout(existing.timer);
+
+    debug('Announcing \'%s\' every %sms.', key, this.interval_);
+    this.entries_.set(key, { options: opt_options || {} });
+    this.announce_(key);
+  }
+
+  /**
+   * Stop announcing an infohash.
+   * @param {Buffer|string} infohash The infohash.
+   * @return {boolean} Whether the infohash was being announced.
+   */
+  remove(infohash) {
+    const key = toKey(infohash);
+    const entry = this.entries_.get(key);
+    if (!entry) return false;
+
+    debug('No longer announcing \'%s\'.', key);
+    clearTimeout(entry.timer);
+    this.entries_.delete(key);
+    return true;
+  }
+
+  /**
+   * @param {Buffer|string} infohash The infohash.
+   * @return {boolean} Whether the infohash is being announced.
+   */
+  has(infohash) {
+    return this.entries_.has(toKey(infohash));
+  }
+
+  /**
+   * @return {!Array.<Buffer>} The infohashes being announced.
+   */
+  infohashes() {
+    return Array.from(this.entries_.keys()).map((k) => Buffer.from(k, 'hex'));
+  }
+
+  /**
+   * Stop all announcements.
+   */
+  dispose() {
+    this.entries_.forEach((entry) => clearTimeout(entry.timer));
+    this.entries_.clear();
+  }
+
+  /**
+   * Run an announce round, and schedule the next.
+   * @param {string} key The infohash hex.
+   * @private
+   */
+  async announce_(key) {
+    const entry = this.entries_.get(key);
+    if (!entry) return;
+    const infohash = Buffer.from(key, 'hex');
+    const { port, seed } = entry.options;
+
+    try {
+      const res = await this.dht_.announce_(infohash, port, seed);
+      debug('Announced \'%s\' to %s nodes, %s failed.',
+          key, res.succeeded, res.failed);
+      if (this.entries_.get(key) === entry) {
+        this.emit('announce', { infohash, ...res });
+      }
+    } catch (e) {
+      debug('Announcing \'%s\' failed: %s', key, e);
+      if (this.entries_.get(key) === entry) {
+        this.emit('announce-error', infohash, e);
+      }
+    }
+
+    // removed, or re-added, while announcing
+    if (this.entries_.get(key) !== entry) return;
+
+    const jitter = this.interval_ * this.jitter_ * (Math.random() * 2 - 1);
+    entry.timer = setTimeout(() => this.announce_(key), this.interval_ + jitter);
+    entry.timer.unref();
+  }
+}
+
+
+/**
+ * @param {Buffer|string} infohash The infohash.
+ * @return {string} The infohash hex.
+ */
+function toKey(infohash) {
+  return typeof infohash === 'string' ?
+      infohash.toLowerCase() : infohash.toString('hex');
+}
@@ -0,0 +1,76 @@
+import { encodeAddress, sha1 } from './util.js';
+
+
+
+/** @define {number} */
+const FILTER_SIZE = 256;  // bytes, i.e. m = 2048 bits
+
+
+/**
+ * The bloom filter used to scrape swarm sizes from the DHT, BEP-33.
+ * Peers are inserted by the SHA1 hash of their binary ip address, setting two
+ * of the 2048 bits, and filters from many nodes are merged with a bitwise or
+ * so peers known by several nodes are only counted once.
+ * See: http://www.bittorrent.org/beps/bep_0033.html
+ */
+export default class BloomFilter {
+  /**
+   * @param {Buffer=} opt_bits Optionally the filter bits, e.g. the `BFsd` or
+   *     `BFpe` field of a response.
+   */
+  constructor(opt_bits) {
+    /**
+     * @type {!Buffer}
+     * @private
+     */
+    this.bits_ = Buffer.alloc(FILTER_SIZE);
+    if (opt_bits) opt_bits.copy(this.bits_, 0, 0, FILTER_SIZE);
+  }
+
+  /**
+   * Insert an ip address.
+   * @param {string} ipaddr The IPv4 or IPv6 address.
+   */
+  add(ipaddr) {
+    const hash = sha1(encodeAddress(ipaddr));
+    const m = FILTER_SIZE * 8;
+    const index1 = (hash[0] | (hash[1] << 8)) % m;
+    const index2 = (hash[2] | (hash[3] << 8)) % m;
+    this.bits_[index1 >> 3] |= 1 << (index1 & 7);
+    this.bits_[index2 >> 3] |= 1 << (index2 & 7);
+  }
+
+  /**
+   * Merge another filter into this one.
+   * @param {BloomFilter|Buffer} other The filter, or its bits.
+   */
+  merge(other) {
+    const bits = Buffer.isBuffer(other) ? other : other.bits_;
+    for (let i = 0; i < FILTER_SIZE && i < bits.length; i++) {
+      this.bits_[i] |= bits[i];
+    }
+  }
+
+  /**
+   * Estimate the number of ip addresses that were inserted.
+   * @return {number}
+   */
+  estimate() {
+    const m = FILTER_SIZE * 8;
+    let zeros = 0;
+    for (let i = 0; i < m; i++) {
+      if (!(this.bits_[i >> 3] & (1 << (i & 7)))) zeros++;
+    }
+
+    // a full filter can't be estimated, so treat it as having one zero bit
+    const c = Math.max(1, zeros);
+    return Math.log(c / m) / (2 * Math.log(1 - 1 / m));
+  }
+
+  /**
+   * @return {!Buffer} The filter bits.
+   */
+  toBuffer() {
+    return Buffer.from(this.bits_);
+  }
+}
@@ -1,42 +1,153 @@
 import dgram from 'dgram';
+import bencode from 'bencode';
 import crypto from 'crypto';
 import fs from 'fs';
+import net from 'net';
 import EventEmitter from 'events';
+import { LRUCache } from 'lru-cache';
 
-import { RoutingTable, distance } from './routing.js';
-import { KRPCSocket } from './krpc.js';
-import { PromiseSelector, PQueue } from './util.js';
+import { RoutingTable, compareDistance } from './routing.js';
+import { KRPCSocket, KRPCError, ErrorCode, addressFamily,
+    encodeCompactPeerInfo, decodeCompactPeerInfo } from './krpc.js';
+import { PromiseSelector, shuffle, operationSignal,
+    throwIfAborted } from './util.js';
 import TokenStore from './token-store.js';
+import AddressVoter from './address-voter.js';
+import Announcer from './announcer.js';
+import Maintenance from './maintenance.js';
+import BloomFilter from './bloom-filter.js';
+import { computeSecureNodeId, verifySecureNodeId } from './security.js';
 import bep44 from './storage.js';
+import bep50 from './pubsub.js';
 
 import debugLogger from 'debug';
 const debug = debugLogger('dht');
 
 
 
-const ROUTING_REFRESH_INTERVAL = 1000 * 60 * 15;  // 15 minutes
+/** @define {number} */
+const ROUTING_CHECK_INTERVAL = 1000 * 60;  // 1 minute, notices a resume quickly
+
+/** @define {number} */
+const ROUTING_CHECK_MAX_BACKOFF = 1000 * 60 * 60;  // a sparse table on a small network
+
+/** @define {number} */
+const BOOTSTRAP_RETRIES = 5;
+
+/** @define {number} */
+const BOOTSTRAP_BACKOFF = 1000;  // doubled on every retry
+
+/** @define {number} */
+const BOOTSTRAP_MAX_BACKOFF = 1000 * 60;
+
+/** @define {number} */
+const BOOTSTRAP_MIN_NODES = 4;  // good nodes, below which we re-bootstrap
+
+/** @define {number} */
+const PEER_TTL = 1000 * 60 * 30;  // 30 minutes
+
+/** @define {number} */
+const MAX_PEERS_PER_INFOHASH = 500;
+
+/** @define {number} */
+const MAX_PEERS = 10000;
+
+/** @define {number} */
+const MAX_PACKET_SIZE = 1232;  // fits the minimum IPv6 MTU
+
+/** @define {number} */
+const KRPC_ENVELOPE_SIZE = 64;  // the message keys around a response
+
+/** @define {number} */
+const TOKEN_REUSE_TTL = 1000 * 60 * 4;  // within the usual 5 minute rotation
+
+/** @define {number} */
+const SAMPLE_INTERVAL = 60 * 60;  // 1 hour, in seconds as sent in BEP-51
+
+/** @define {number} */
+const MAX_SAMPLES = 20;  // keeps the response within a single UDP packet
+
+/** @define {number} */
+const MAX_SAMPLE_INTERVAL = 6 * 60 * 60;  // 6 hours, the most BEP-51 allows
+
+/** @define {number} */
+const CRAWL_CONCURRENCY = 4;  // parts of the keyspace crawled at once
+
+
+/**
+ * The queries handled by the core DHT, extensions declare their own.
+ * @type {!Array.<string>}
+ * @const
+ */
+const CORE_QUERIES = [
+  'ping', 'find_node', 'get_peers', 'announce_peer', 'sample_infohashes'
+];
 
 
 /**
+ * @typedef {'ipv4'|'ipv6'} AddressFamily
+ * @typedef {{
+ *   ttl?: number,
+ *   maxPerInfohash?: number,
+ *   maxTotal?: number
+ * }} PeerStoreOptions
+ * @typedef {Map<string, { seed: boolean, added: number }>} AnnouncedPeers
+ * @typedef {{
+ *   retries?: number,
+ *   backoff?: number,
+ *   maxBackoff?: number,
+ *   minNodes?: number
+ * }} BootstrapOptions
  * @typedef {{
  *   id?: Buffer|string,
  *   K?: number,
+ *   alpha?: number,
+ *   secureIds?: 'prefer'|'require',
+ *   autoSecureId?: boolean,
+ *   routing?: import('./routing.js').RoutingOptions,
+ *   tokens?: import('./token-store.js').TokenStoreOptions,
+ *   peers?: PeerStoreOptions,
+ *   announcer?: import('./announcer.js').AnnouncerOptions,
+ *   maintenance?: import('./maintenance.js').MaintenanceOptions,
+ *   families?: Array.<AddressFamily>,
  *   nodes?: Array.<any>,
+ *   nodes6?: Array.<any>,
  *   bootstrapNodes?: Array.<PeerInfo>,
- *   socket?: dgram.Socket
+ *   bootstrap?: BootstrapOptions,
+ *   socket?: dgram.Socket,
+ *   socket6?: dgram.Socket
  * }} DHTOptions
  * @typedef {{
  *   id: Buffer,
  *   implied_port: 0|1,
  *   info_hash: Buffer,
  *   port: number,
- *   token: Buffer
+ *   token: Buffer,
+ *   seed?: 0|1
  * }} AnnouncePeerRequest
  * @typedef {{ id: Buffer }} AnnoucePeerResponse
- * @typedef {{ id: Buffer, info_hash: Buffer }} GetPeersRequest
  * @typedef {{
- *   id: Buffer, token: Buffer, values?: Buffer[], nodes?: NodeInfo[]
+ *   id: Buffer, info_hash: Buffer, want?: Buffer[], scrape?: 0|1
+ * }} GetPeersRequest
+ * @typedef {{
+ *   id: Buffer, token: Buffer, values?: Buffer[],
+ *   nodes?: NodeInfo[], nodes6?: NodeInfo[],
+ *   BFsd?: Buffer, BFpe?: Buffer
  * }} GetPeersResponse
+ * @typedef {{ seeders: number, leechers: number }} ScrapeResult
+ * @typedef {{
+ *   node?: PeerInfo, signal?: AbortSignal, timeout?: number
+ * }} FindNodeOptions
+ * @typedef {{ id: Buffer, target: Buffer, want?: Buffer[] }} SampleInfohashesRequest
+ * @typedef {{
+ *   id: Buffer, interval: number, num: number, samples: Buffer,
+ *   nodes?: NodeInfo[], nodes6?: NodeInfo[]
+ * }} SampleInfohashesResponse
+ * @typedef {{ nodes?: NodeInfo[], nodes6?: NodeInfo[] }} ClosestNodesResponse
+ * @typedef {{
+ *   node: NodeInfo,
+ *   state: 'pending'|'querying'|'responded'|'failed'
+ * }} LookupCandidate
  */
 
 
@@ -54,6 +165,9 @@ const BOOTSTRAP_NODES = [
 /**
  * Implements:
  *   * [BEP 0005](http://www.bittorrent.org/beps/bep_0005.html)
+ *   * [BEP 0032](http://www.bittorrent.org/beps/bep_0032.html)
+ *   * [BEP 0033](http://www.bittorrent.org/beps/bep_0033.html)
+ *   * [BEP 0051](http://www.bittorrent.org/beps/bep_0051.html)
  */
 export default class DHT extends EventEmitter {
 
@@ -72,6 +186,13 @@ export default class DHT extends EventEmitter {
      */
     this.K_ = opt_options['K'] || 8;
 
+    /**
+     * The number of concurrent queries in a lookup.
+     * @type {number}
+     * @private
+     */
+    this.alpha_ = opt_options['alpha'] || 3;
+
     /**
      * @type {Buffer}
      */
@@ -93,30 +214,112 @@ export default class DHT extends EventEmitter {
     this.isBootstrapping_ = false;
 
     /**
+     * How bootstrapping is retried, and when the routing tables are sparse
+     * enough to bootstrap again.
+     * @type {!{ retries: number, backoff: number, maxBackoff: number, minNodes: number }}
+     * @private
+     */
+    this.bootstrapOptions_ = {
+      retries: BOOTSTRAP_RETRIES,
+      backoff: BOOTSTRAP_BACKOFF,
+      maxBackoff: BOOTSTRAP_MAX_BACKOFF,
+      minNodes: BOOTSTRAP_MIN_NODES,
+      ...opt_options.bootstrap
+    };
+
+    /**
+     * The timer of the next bootstrap retry.
+     * @type {NodeJS.Timeout|undefined}
+     * @private
+     */
+    this.bootstrapTimer_ = undefined;
+
+    /**
+     * The address families to run on, both for a dual-stack node.
+     * @type {!Array.<AddressFamily>}
+     * @private
+     */
+    this.families_ = opt_options.families || ['ipv4'];
+    if (this.families_.length === 0) {
+      throw new Error('At least one address family is required.');
+    }
+
+    /**
+     * @type {import('./routing.js').RoutingOptions}
+     * @private
+     */
+    this.routingOptions_ = {
+      K: this.K_,
+      secureIds: opt_options.secureIds,
+      ...opt_options.routing
+    };
+
+    /**
+     * The IPv4 routing table.
      * @type {RoutingTable}
      * @todo make private
      */
-    this.nodes_ = new RoutingTable(this.id, { K: this.K_ });
-    this.nodes_.on('ping', this.handleBucketPing_.bind(this));
-    this.nodes_.on('refresh', this.handleBucketRefresh_.bind(this));
-    if (opt_options.nodes) this.nodes_.loadState(opt_options.nodes);
+    this.nodes_ = this.createRoutingTable_('ipv4', opt_options.nodes);
+
+    /**
+     * The IPv6 routing table, BEP-32 requires it to be kept separately.
+     * @type {RoutingTable}
+     * @todo make private
+     */
+    this.nodes6_ = this.createRoutingTable_('ipv6', opt_options.nodes6);
+
+    /**
+     * Refreshes buckets and pings questionable nodes, once listening.
+     * @type {!Maintenance}
+     * @private
+     */
+    this.maintenance_ = new Maintenance(this, opt_options.maintenance);
+
+    /**
+     * How long re-bootstrapping a sparse table waits after the last time,
+     * doubled while the table stays sparse.
+     * @type {number}
+     * @private
+     */
+    this.rebootstrapDelay_ = 0;
+
+    /**
+     * When a sparse table may be bootstrapped again.
+     * @type {number}
+     * @private
+     */
+    this.nextRebootstrap_ = 0;
 
-    this.refreshTimer_ = setInterval(
-        this.handleRoutingRefresh_.bind(this), ROUTING_REFRESH_INTERVAL);
+    this.checkTimer_ = setInterval(
+        this.handleRoutingCheck_.bind(this), ROUTING_CHECK_INTERVAL);
+    this.checkTimer_.unref();
 
     /**
-     * @type {dgram.Socket}
+     * The IPv4 socket, if running on IPv4.
+     * @type {dgram.Socket|null}
      * @private
      */
-    this.socket_ = opt_options.socket ||
-        dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    this.socket_ = !this.families_.includes('ipv4') ? null :
+        (opt_options.socket ||
+            dgram.createSocket({ type: 'udp4', reuseAddr: true }));
 
     /**
+     * The IPv6 socket, if running on IPv6.
+     * @type {dgram.Socket|null}
+     * @private
      */
-    this.rpc_ = new KRPCSocket(this.socket_);
+    this.socket6_ = !this.families_.includes('ipv6') ? null :
+        (opt_options.socket6 ||
+            dgram.createSocket({ type: 'udp6', reuseAddr: true, ipv6Only: true }));
+
+    /**
+     */
+    this.rpc_ = new KRPCSocket(this.socketFor_({ address: '', port: 0,
+        family: this.families_[0] }), { socket6: this.socket_ && this.socket6_ });
     this.rpc_.on('query', this.handleQuery_.bind(this));
     this.rpc_.on('response', this.handleNodeResponse_.bind(this));
     this.rpc_.on('timeout', this.handleNodeTimeout_.bind(this));
+    this.rpc_.on('ip', this.handleExternalAddress_.bind(this));
 
     // this.socket_.on('message', this.handleSocketMessage_.bind(this));
     // this.socket_.on('error', this.handleSocketError_.bind(this));
@@ -128,6 +331,12 @@ export default class DHT extends EventEmitter {
      */
     this.isBound_ = false;
 
+    /**
+     * @type {boolean}
+     * @private
+     */
+    this.isDisposed_ = false;
+
     /**
      * To prevent ping spamming when travelling far, we track pending pings.
      * @type {!Object.<string, Promise<any>>}
@@ -135,12 +344,88 @@ export default class DHT extends EventEmitter {
      */
     this.pendingPings_ = {};
 
+    /**
+     * Tallies the `ip` field of responses to learn our external address.
+     * @type {!AddressVoter}
+     * @private
+     */
+    this.addressVoter_ = new AddressVoter();
+
+    /**
+     * Whether to switch to a BEP-42 compliant id for our external address.
+     * @type {boolean}
+     * @private
+     */
+    this.autoSecureId_ = !!opt_options.autoSecureId;
+
+    /**
+     * How write tokens are rotated, shared with the extensions.
+     * @type {import('./token-store.js').TokenStoreOptions}
+     */
+    this.tokenOptions_ = opt_options.tokens || {};
+
     /**
      * Storage for the DHT tracker.
      * @type {!TokenStore}
      * @private
      */
-    this.announcedPeers_ = new TokenStore();
+    this.announcedPeers_ = new TokenStore(this.tokenOptions_,
+        (/** @type {AnnouncedPeers} */ peers, h) =>
+            peers.forEach((_, p) => this.peerExpiry_.delete(`${h}:${p}`)));
+
+    /**
+     * When each stored peer announced, keyed by infohash and compact peer
+     * info. They all live as long, so the order they announced in is the
+     * order they expire in and the size is the number of peers stored.
+     * @type {!Map<string, number>}
+     * @private
+     */
+    this.peerExpiry_ = new Map();
+
+    /**
+     * How long announced peers are kept, and how many.
+     * @type {!{ ttl: number, maxPerInfohash: number, maxTotal: number }}
+     * @private
+     */
+    this.peerOptions_ = {
+      ttl: PEER_TTL,
+      maxPerInfohash: MAX_PEERS_PER_INFOHASH,
+      maxTotal: MAX_PEERS,
+      ...opt_options.peers
+    };
+
+    /**
+     * The closest nodes, with their write tokens, found by recent `get_peers`
+     * traversals so an announce can skip the lookup.
+     * @type {LRUCache<string, NodeInfo[]>}
+     * @private
+     */
+    this.recentLookups_ = new LRUCache({ max: 100, ttl: TOKEN_REUSE_TTL });
+
+    /**
+     * The nodes sampled by `sample_infohashes` whose sample won't change
+     * until the `interval` they gave is up, so a crawl doesn't ask again.
+     * @type {LRUCache<string, boolean>}
+     * @private
+     */
+    this.sampledNodes_ = new LRUCache({
+      max: 10000,
+      ttl: MAX_SAMPLE_INTERVAL * 1000
+    });
+
+    /**
+     * Keeps infohashes announced in the background.
+     * @type {!Announcer}
+     */
+    this.announcer = new Announcer(this, opt_options.announcer);
+
+    /**
+     * The sample of announced infohashes sent in `sample_infohashes`
+     * responses, it is only refreshed every `SAMPLE_INTERVAL`.
+     * @type {?{ samples: Buffer, expires: number }}
+     * @private
+     */
+    this.infohashSample_ = null;
 
     // initialize the extensions
     /**
@@ -150,6 +435,7 @@ export default class DHT extends EventEmitter {
      */
     this.extensions_ = []; // = [bep5, /*bep44*/];
     this.use(bep44);
+    this.use(bep50);
   }
 
 
@@ -164,50 +450,152 @@ export default class DHT extends EventEmitter {
     return new DHT({
       K: state.K,
       id: Buffer.from(state.id, 'hex'),
-      bootstrapNodes: [],
-      nodes: state.nodes
+      families: state.families,
+      nodes: state.nodes,
+      nodes6: state.nodes6
     });
   }
 
 
   /**
    * @param {number=} opt_port Optional port to listen on.
-   * @param {string=} opt_host Optional listening address to listen on.
+   * @param {string=} opt_host Optional listening address to listen on, an IP
+   *     address only applies to the socket of its own address family.
    */
   async listen(opt_port, opt_host) {
     debug('Starting DHT on port %s', opt_port);
-    const listen = () => new Promise((resolve, reject) =>
-        this.socket_.bind(opt_port, opt_host, () => resolve(null)));
+    const listen = (/** @type {AddressFamily} */ family) => {
+      const socket = this.socketFor_({ address: '', port: 0, family });
+      const host = (opt_host && net.isIP(opt_host) &&
+          addressFamily({ address: opt_host, port: 0 }) !== family) ?
+              undefined : opt_host;
+      return new Promise((resolve, reject) =>
+          socket.bind(opt_port, host, () => resolve(socket.address())));
+    };
 
-    await listen();
+    for (let family of this.families_) {
+      const addr = await listen(family);
+      debug('DHT listening on %s:%s', addr.address, addr.port);
+    }
     this.isBound_ = true;
-    const addr = this.socket_.address();
-    debug('DHT listening on %s:%s', addr.address, addr.port); 
+    this.maintenance_.start();
+
+    // only the first attempt is waited for, retries continue in the background
+    await this.bootstrap_();
+  }
+
+
+  /**
+   * Bootstrap the routing tables, retrying with an exponential backoff when
+   * no node responds. Emits 'ready' with the number of good nodes once
+   * bootstrapped, or 'bootstrap-failed' with the number of attempts when out
+   * of retries.
+   * @param {number=} opt_attempt The number of failed attempts so far.
+   * @private
+   */
+  async bootstrap_(opt_attempt) {
+    const attempt = opt_attempt || 0;
+    if (!this.canBootstrap_()) {
+      debug('Nothing to bootstrap from, starting a new network.');
+      this.emit('ready', { nodes: 0 });
+      return;
+    }
 
-    // start bootstrapping
     this.isBootstrapping_ = true;
-    await Promise.all(this.bootstrapNodes_.map(
-      async (peer) => {
+    const succeeded = await this.bootstrapAttempt_();
+    if (this.isDisposed_) return;
+
+    if (succeeded) {
+      const nodes = this.nodes_.goodLength + this.nodes6_.goodLength;
+      debug('Bootstrapping done, with %s good nodes in routing table', nodes);
+      this.isBootstrapping_ = false;
+      this.emit('ready', { nodes });
+      return;
+    }
+
+    const { retries, backoff, maxBackoff } = this.bootstrapOptions_;
+    if (attempt >= retries) {
+      debug('Bootstrapping failed after %s attempts.', attempt + 1);
+      this.isBootstrapping_ = false;
+      this.emit('bootstrap-failed', { attempts: attempt + 1 });
+      return;
+    }
+
+    const delay = Math.min(backoff * 2 ** attempt, maxBackoff);
+    debug('Bootstrapping failed, retrying in %sms.', delay);
+    this.bootstrapTimer_ = setTimeout(() => this.bootstrap_(attempt + 1), delay);
+    this.bootstrapTimer_.unref();
+  }
+
+
+  /**
+   * Try the nodes already in our routing tables, e.g. loaded from a saved
+   * state, and fall back to the bootstrap nodes if none of them respond.
+   * @return {Promise<boolean>} Whether any node responded.
+   * @private
+   */
+  async bootstrapAttempt_() {
+    // collect nodes near to us to populate our bucket, without stopping at
+    // nodes that already know about us
+    const lookup = () => this.closest_(this.id, 'find_node', {
+      'id': this.id,
+      'target': this.id
+    });
+    // saved nodes count as good until they go stale, so only the answers to
+    // this attempt count
+    const start = Date.now();
+    const isBootstrapped = () =>
+        this.nodes_.respondedSince(start) + this.nodes6_.respondedSince(start) > 0;
+
+    if (this.nodes_.length + this.nodes6_.length > 0) {
+      debug('Bootstrapping from the routing table.');
+      await lookup();
+      if (this.isDisposed_ || isBootstrapped()) return true;
+    }
+
+    // hostnames are tried on every address family
+    await Promise.all(this.families_.flatMap((family) => this.bootstrapNodes_
+      .filter((peer) => !net.isIP(peer.address) || addressFamily(peer) === family)
+      .map(async (peer) => {
         debug('Bootstrapping node %s.', peer.address + ':' + peer.port);
-        await this.ping(peer);
-      }
+        await this.ping({ ...peer, family });
+      })
     ));
-    // collect nodes near to us to populate our bucket
-    await this.find_node(this.id);
-    debug('Bootstrapping done, with %s nodes in routing table', this.nodes_.length);
-    this.isBootstrapping_ = false;
+    if (this.isDisposed_) return true;
+    await lookup();
+    return isBootstrapped();
+  }
+
+
+  /**
+   * @return {boolean} Whether there are any nodes to bootstrap from.
+   * @private
+   */
+  canBootstrap_() {
+    return this.bootstrapNodes_.length > 0 ||
+        this.nodes_.length + this.nodes6_.length > 0;
   }
 
 
   /**
    */
   dispose() {
-    clearInterval(this.refreshTimer_);
+    this.isDisposed_ = true;
+    this.maintenance_.dispose();
+    clearInterval(this.checkTimer_);
+    clearTimeout(this.bootstrapTimer_);
+    this.announcer.dispose();
     this.rpc_.dispose();
     this.extensions_.forEach((e) => e.dispose());
     this.announcedPeers_.dispose();
+    this.peerExpiry_.clear();
+    this.recentLookups_.clear();
+    this.sampledNodes_.clear();
+    this.addressVoter_.dispose();
     this.nodes_.dispose();
-    this.socket_.close();
+    this.nodes6_.dispose();
+    if (this.socket_) this.socket_.close();
+    if (this.socket6_) this.socket6_.close();
 
     // this.announcedPeers_ = null;
     // this.nodes_ = null;
@@ -224,7 +612,9 @@ export default class DHT extends EventEmitter {
     let state = {
       K: this.K_,
       id: this.id.toString('hex'),
-      nodes: this.nodes_.getState()
+      families: this.families_,
+      nodes: this.nodes_.getState(),
+      nodes6: this.nodes6_.getState()
     };
     fs.writeFileSync(filepath, JSON.stringify(state));
   }
@@ -250,60 +640,118 @@ export default class DHT extends EventEmitter {
 
 
   /**
-   * Recursively traverse the network, starting from my peer list and moving
-   * n closer each time.
+   * Iteratively traverse the network, starting from my peer list and moving
+   * closer each time. At most `alpha` queries are in flight at once, and the
+   * lookup ends once the K closest nodes found have all responded, a
+   * response callback returns a value, or the signal is aborted.
    * @param {Buffer} target
    * @param {string} method
    * @param {any} args
    * @param {((a: any, n: NodeInfo)=>T)=} opt_rescb
+   * @param {AbortSignal=} opt_signal Stops the lookup without waiting for the
+   *     outstanding queries.
+   * @param {((n: NodeInfo)=>boolean)=} opt_skip Nodes not to query, they
+   *     count as having responded but their neighbours aren't learned.
+   * @return {Promise<ClosestResult<T>>} The value returned by the callback if
+   *     any, and the K closest responding nodes (with their write tokens).
    * @template T
    */
-  async closest_(target, method, args, opt_rescb) {
-    // use a priority queue to track closest responding, a set and hashing fn to
-    // track nodes we've already visited
-    const closest = new PQueue(this.K_);
-    const seen = new Set();
+  async closest_(target, method, args, opt_rescb, opt_signal, opt_skip) {
+    // a dual-stack node wants nodes from both address families, BEP-32
+    if (this.families_.length > 1) args = { ...args, 'want': ['n4', 'n6'] };
+
+    // all the nodes we've learned about, and a hashing fn to key them
+    /** @type {Map<string, LookupCandidate>} */
+    const candidates = new Map();
     const hash = (/** @type {NodeInfo} */ node) =>
         `${node.id.toString('hex')}:${node.address}:${node.port}`;
+    const learn = (/** @type {ITraversableQueryBase['r']} */ r) => {
+      for (let node of [...(r.nodes || []), ...(r.nodes6 || [])]) {
+        if (!this.families_.includes(addressFamily(node))) continue;
+        if (candidates.has(hash(node))) continue;
+        candidates.set(hash(node),
+            { node, state: 'pending' });
+      }
+    };
+
+    // the K closest candidates that haven't failed, per address family since
+    // the IPv4 and IPv6 networks are traversed independently
+    const shortlist = () => {
+      const sorted = Array.from(candidates.values())
+          .filter((c) => c.state !== 'failed')
+          .sort((a, b) => compareDistance(target, a.node.id, b.node.id));
+      return this.families_.flatMap((family) => sorted
+          .filter((c) => addressFamily(c.node) === family)
+          .slice(0, this.K_));
+    };
+    const responded = () => shortlist()
+        .filter((c) => c.state === 'responded')
+        .map((c) => c.node);
 
     // the 'promise selector' allows us to simulate a more traditional networking
     // api. i.e. loop and 'block' until any outstanding request resolves
-    /** @type {PromiseSelector<ITraversableQueryBase>} */
-    const selector = new PromiseSelector([
-        Promise.resolve({
-          r: { nodes: this.nodes_.closest(target, this.K_) }
-        })]);
-
-    // loop over responses waiting to be processed
-    // will block waiting for a response or timeout
-    let res = null;
-    while (res = await selector.next()) {
-      // if (res.error) continue;   // @todo why was this here?
-      const { node, r } = res;
-
-      if (node) {
-        const res_v = opt_rescb && opt_rescb(r, node);
-        if (res_v) return res_v;
-
-        // Add the responder to the bucket of closest
-        closest.push(distance(target, node.id), node);
-      }
-      if (!r.nodes) continue;
+    /** @type {PromiseSelector<[LookupCandidate, any]>} */
+    const selector = new PromiseSelector();
+
+    /** @type {() => void} */
+    let onAbort = () => {};
+    /** @type {Promise<null>|null} */
+    const aborted = !opt_signal ? null : new Promise((resolve) => {
+      onAbort = () => resolve(null);
+      if (opt_signal.aborted) return resolve(null);
+      opt_signal.addEventListener('abort', onAbort, { once: true });
+    });
 
-      // Candidates are nodes we haven't queried before, and that are closer
-      // than the furthest known node
-      let candidates = r.nodes
-          .filter((p) => !seen.has(hash(p)))
-          .filter((p) => distance(p.id, target) < closest.max);
+    try {
+      learn(this.closestNodesFor(target, undefined, ['n4', 'n6']));
+      while (!(opt_signal && opt_signal.aborted)) {
+        // done when the K closest have all responded
+        const closest = shortlist();
+        if (closest.every((c) => c.state === 'responded')) break;
+
+        // query the closest we haven't asked yet, keeping alpha in flight
+        for (let c of closest) {
+          if (selector.length >= this.alpha_) break;
+          if (c.state !== 'pending') continue;
+          if (opt_skip && opt_skip(c.node)) {
+            c.state = 'responded';
+            continue;
+          }
+
+          c.state = 'querying';
+          selector.add(this.rpc_.query(c.node, method, args, { signal: opt_signal })
+              .then((res) => [c, res]));
+        }
+
+        // will block waiting for a response or timeout
+        const next = selector.next();
+        if (!next) break;   // nothing left to query
+        const selected = await (aborted ? Promise.race([next, aborted]) : next);
+        if (!selected) {
+          debug('Closest \'%s\' query was aborted.', method);
+          return { value: undefined, closest: responded() };
+        }
+        const [c, res] = selected;
+        if (res.error) {
+          c.state = 'failed';
+          continue;
+        }
+
+        const { node, r } = res;
+        c.state = 'responded';
+        c.node = node;
 
-      for (let p of candidates) {
-        seen.add(hash(p));
-        selector.add(this.rpc_.query(p, method, args));
+        const res_v = opt_rescb && opt_rescb(r, node);
+        if (res_v) return { value: res_v, closest: responded() };
+        learn(r);
       }
-    }
 
-    debug('Closest \'%s\' query returned without a value.', method);
-    return undefined;
+      debug('Closest \'%s\' query returned without a value.', method);
+      return { value: undefined, closest: responded() };
+    } finally {
+      // the signal may be shared by many operations
+      if (opt_signal) opt_signal.removeEventListener('abort', onAbort);
+    }
   }
 
 
@@ -314,6 +762,68 @@ export default class DHT extends EventEmitter {
   }
 
 
+  /**
+   * @param {PeerInfo} peer The peer.
+   * @return {dgram.Socket} The socket used to talk to the peer.
+   * @private
+   */
+  socketFor_(peer) {
+    const family = addressFamily(peer);
+    const socket = family === 'ipv6' ? this.socket6_ : this.socket_;
+    if (!socket) throw new Error(`DHT is not running on ${family}.`);
+    return socket;
+  }
+
+
+  /**
+   * @param {AddressFamily} family The address family of the table.
+   * @param {any[]=} opt_state Optional serialized state to load.
+   * @return {RoutingTable} A new routing table around our id.
+   * @private
+   */
+  createRoutingTable_(family, opt_state) {
+    const table = new RoutingTable(this.id, this.routingOptions_);
+    table.on('ping', this.handleBucketPing_.bind(this));
+
+    // re-emitted for watching the routing tables, a split is given the
+    // address family of its table
+    table.on('node-added', (node) => this.emit('node-added', node));
+    table.on('node-removed', (node) => this.emit('node-removed', node));
+    table.on('address-change', (node, moved) =>
+        this.emit('address-change', node, moved));
+    table.on('bucket-split', (left, right) =>
+        this.emit('bucket-split', left, right, family));
+    if (opt_state) table.loadState(opt_state);
+    return table;
+  }
+
+
+  /**
+   * Change our node id, the routing tables are rebuilt around the new id.
+   * @param {Buffer} id The new node id.
+   * @private
+   */
+  setId_(id) {
+    debug('Changing node id to %s.', id.toString('hex'));
+    const [nodes, nodes6] = [this.nodes_, this.nodes6_];
+    this.id = id;
+    this.nodes_ = this.createRoutingTable_('ipv4', nodes.getState());
+    this.nodes6_ = this.createRoutingTable_('ipv6', nodes6.getState());
+    nodes.dispose();
+    nodes6.dispose();
+  }
+
+
+  /**
+   * @param {PeerInfo} peer The peer.
+   * @return {RoutingTable} The routing table for the peer's address family.
+   * @private
+   */
+  routingTable_(peer) {
+    return addressFamily(peer) === 'ipv6' ? this.nodes6_ : this.nodes_;
+  }
+
+
   /**
    * @param {NodeInfo} node The node that needs to be pinged.
    * @param {function(boolean): void} callback Callback to whether the ping
@@ -321,28 +831,45 @@ export default class DHT extends EventEmitter {
    */
   async handleBucketPing_(node, callback) {
     const res = await this.ping(node);
-    callback(!!res.error);
+    callback(!res.error);
   }
 
 
   /**
-   * When a bucket needs to be refreshed, we call find_node on a random id in the
-   * range.
-   * > "Buckets that have not been changed in 15 minutes should be "refreshed."
-   * > This is done by picking a random ID in the range of the bucket and
-   * > performing a find_nodes search on it."
-   * - BEP-5
-   * @param {Buffer} rangeId a random node id in the range of the bucket.
+   * @return {!Array.<RoutingTable>} The routing tables of the address
+   *     families we run on.
    */
-  async handleBucketRefresh_(rangeId) {
-    this.find_node(rangeId);
+  routingTables_() {
+    return this.families_.map((family) =>
+        family === 'ipv6' ? this.nodes6_ : this.nodes_);
   }
 
 
   /**
+   * Bootstrap again when the routing tables run low on good nodes, e.g. when
+   * the nodes went quiet while we were asleep. A table that stays sparse, as
+   * on a small network, is bootstrapped less and less often.
+   * @private
    */
-  handleRoutingRefresh_() {
-    this.nodes_.refresh();
+  handleRoutingCheck_() {
+    if (!this.isBound_ || this.isBootstrapping_ || !this.canBootstrap_()) return;
+
+    const nodes = this.nodes_.goodLength + this.nodes6_.goodLength;
+    if (nodes >= this.bootstrapOptions_.minNodes) {
+      this.rebootstrapDelay_ = 0;
+      this.nextRebootstrap_ = 0;
+      return;
+    }
+
+    const now = Date.now();
+    if (now < this.nextRebootstrap_) return;
+    this.rebootstrapDelay_ = Math.min(
+        this.rebootstrapDelay_ * 2 || ROUTING_CHECK_INTERVAL,
+        ROUTING_CHECK_MAX_BACKOFF);
+    this.nextRebootstrap_ = now + this.rebootstrapDelay_;
+
+    debug('Only %s good nodes in routing table, bootstrapping again.', nodes);
+    this.bootstrap_();
   }
 
 
@@ -351,28 +878,66 @@ export default class DHT extends EventEmitter {
    * @param {string} method The query method.
    * @param {any} args The arguments.
    * @param {NodeInfo} node The sending node.
-   * @param {function} respond The callback to respond to the query.
+   * @param {function(any):void} respond The callback to respond to the query.
+   * @param {function(any):void} fail The callback to respond with an error.
    */
-  handleQuery_(method, args, node, respond) {
-    this.nodes_.recordQuery(node);
+  handleQuery_(method, args, node, respond, fail) {
+    if (!this.isKnownQuery_(method)) {
+      debug('Node %s:%s sent unknown query \'%s\'.',
+          node.address, node.port, method);
+      return fail(new KRPCError(ErrorCode.METHOD_UNKNOWN, 'Method Unknown'));
+    }
+
+    this.routingTable_(node).recordQuery(node);
     try {
       if (method === 'ping') respond( this.handlePing_(args, node) );
-      if (method === 'find_node') respond( this.handleFindNode_(args.target, node) );
+      if (method === 'find_node') respond( this.handleFindNode_(args, node) );
       if (method === 'get_peers') respond( this.handleGetPeers_(args, node) );
       if (method === 'announce_peer') respond( this.handleAnnouncePeer_(args, node) );
+      if (method === 'sample_infohashes') respond( this.handleSampleInfohashes_(args, node) );
     } catch (e) {
-      // todo send error
-      console.error(e);
+      fail(e);
     }
   }
 
 
+  /**
+   * Whether the query method is handled by the DHT or one of its extensions.
+   * @param {string} method The query method.
+   * @return {boolean}
+   * @private
+   */
+  isKnownQuery_(method) {
+    return CORE_QUERIES.includes(method) ||
+        this.extensions_.some((e) => (e.queries || []).includes(method));
+  }
+
+
   /**
    * Record a node response to the routing table.
    * @param {NodeInfo} node The node that responded.
    */
   handleNodeResponse_(node) {
-    this.nodes_.recordResponse(node);
+    this.routingTable_(node).recordResponse(node);
+  }
+
+
+  /**
+   * Count a vote for our external address, from the `ip` field of a response.
+   * @param {PeerInfo} address Our address as seen by the responder.
+   * @param {NodeInfo} node The responder.
+   */
+  handleExternalAddress_(address, node) {
+    if (!this.addressVoter_.vote(address, node)) return;
+
+    debug('External %s address is now %s.', address.family, address.address);
+    this.emit('external-ip', { address: address.address, family: address.family });
+
+    // adopt a secure id for the external address of our primary family
+    if (this.autoSecureId_ && address.family === this.families_[0] &&
+        !verifySecureNodeId(this.id, address.address)) {
+      this.setId_(computeSecureNodeId(address.address));
+    }
   }
 
 
@@ -383,15 +948,21 @@ export default class DHT extends EventEmitter {
   handleNodeTimeout_(node) {
     if (!node.id) return;
     debug('Recording timeout for node %s', node.id.toString('hex'));
-    this.nodes_.recordNoResponse(node);
+    this.routingTable_(node).recordNoResponse(node);
   }
 
 
   /**
    * @param {!PeerInfo} peer The peer to ping.
+   * @param {OperationOptions=} opt_options The abort signal and deadline, a
+   *     ping with options isn't shared with other pings of the peer.
    */
-  ping(peer) {
-    let key = `${peer.address}:${peer.port}`;
+  ping(peer, opt_options) {
+    if (opt_options) {
+      return this.rpc_.query(peer, 'ping', { 'id': this.id }, opt_options);
+    }
+
+    let key = `${addressFamily(peer)}:${peer.address}:${peer.port}`;
 
     if (!(key in this.pendingPings_)) {
       this.pendingPings_[key] = this.rpc_.query(peer, 'ping', { 'id': this.id })
@@ -414,27 +985,48 @@ export default class DHT extends EventEmitter {
 
 
   /**
-   * Returns the result of a 'find_node' query, if opt_node is given this returns
-   * the result of a single query otherwise it performs a recursive lookup
-   * @param {Buffer} id Find the closest node to id.
-   * @return {Promise<NodeInfo|undefined>} opt_node Optional node.
+   * Returns the result of a 'find_node' query, if `node` is given this returns
+   * the result of a single query to it otherwise it performs a recursive
+   * lookup.
+   * @param {Buffer|string} id Find the closest node to id.
+   * @param {FindNodeOptions=} opt_options Optionally the node to query, and
+   *     the abort signal and deadline.
+   * @return {Promise<NodeInfo|NodeInfo[]>} The node, if a response listed it,
+   *     otherwise the closest nodes found.
    */
-  find_node(id) {
-    return this.closest_(id, 'find_node', {
-      'id': this.id,
-      'target': id
-    });
+  async find_node(id, opt_options) {
+    const target = (typeof id === 'string') ? Buffer.from(id, 'hex') : id;
+    const signal = operationSignal(opt_options);
+    const args = { 'id': this.id, 'target': target };
+
+    /** @type {function(any, NodeInfo): NodeInfo|undefined} */
+    const exact = (r, node) => node.id.equals(target) ? node :
+        [...(r.nodes || []), ...(r.nodes6 || [])]
+            .find((/** @type {NodeInfo} */ n) => n.id.equals(target));
+
+    if (opt_options && opt_options.node) {
+      const res = await this.rpc_.query(opt_options.node, 'find_node', args,
+          { signal });
+      if (res.error) throw res.error;
+      return exact(res.r, res.node) ||
+          [...(res.r.nodes || []), ...(res.r.nodes6 || [])];
+    }
+
+    const { value, closest } = await this.closest_(target, 'find_node', args,
+        exact, signal);
+    throwIfAborted(signal);
+    return value || closest;
   }
 
 
   /**
-   * @param {any} target
+   * @param {{ id: Buffer, target: Buffer, want?: Buffer[] }} args
    * @param {NodeInfo} node
    */
-  handleFindNode_(target, node) {
+  handleFindNode_(args, node) {
     return {
       'id': this.id,
-      'nodes': this.nodes_.closest(target, this.K_)
+      ...this.closestNodesFor(args.target, node, args.want)
     };
   }
 
@@ -442,9 +1034,11 @@ export default class DHT extends EventEmitter {
   /**
    * Get peers that have announced on the target hash.
    * @param {Buffer|string} target The target hash.
+   * @param {OperationOptions=} opt_options The abort signal and deadline.
    * @return {Promise<PeerInfo[]>} The announced peers.
    */
-  async get_peers(target) {
+  async get_peers(target, opt_options) {
+    const signal = operationSignal(opt_options);
     target = (typeof target === 'string') ? Buffer.from(target, 'hex') : target;
     debug('Looking up peers for \'%s\'.', target.toString('hex'));
 
@@ -455,18 +1049,81 @@ export default class DHT extends EventEmitter {
       `${peer.address}:${peer.family}:${peer.port}`;
     const push_peer = (/** @type {PeerInfo} */peer) => peers[hash(peer)] = peer;
 
-    await this.closest_(target, 'get_peers', {
+    const { closest } = await this.closest_(target, 'get_peers', {
       'id': this.id,
       'info_hash': target
     }, (/** @type {GetPeersResponse} **/ r) => {
       if (r.values) {
         r.values.forEach((cp) => push_peer(decodeCompactPeerInfo(cp)));
       }
-    });
+    }, signal);
+    throwIfAborted(signal);
+    this.rememberLookup_(target, closest);
 
     return Object.values(peers);
   }
 
+  /**
+   * Stream the peers that have announced on the target hash, each peer is
+   * yielded as soon as it is found. Breaking out of the loop stops the lookup.
+   * @param {Buffer|string} target The target hash.
+   * @param {OperationOptions=} opt_options The abort signal and deadline.
+   * @return {AsyncGenerator<PeerInfo>} The announced peers.
+   */
+  async *lookupPeers(target, opt_options) {
+    const targetID = (typeof target === 'string') ?
+        Buffer.from(target, 'hex') : target;
+    debug('Streaming peers for \'%s\'.', targetID.toString('hex'));
+
+    /** @type {PeerInfo[]} */
+    const found = [];
+    /** @type {Set<string>} */
+    const seen = new Set();
+    let done = false;
+    /** @type {any} */
+    let error = null;
+    /** @type {(() => void)|null} */
+    let wake = null;
+
+    // stopped by the caller, or when the consumer stops iterating
+    const signal = operationSignal(opt_options);
+    const controller = new AbortController();
+    const stopped = signal ?
+        AbortSignal.any([signal, controller.signal]) : controller.signal;
+    this.closest_(targetID, 'get_peers', {
+      'id': this.id,
+      'info_hash': targetID
+    }, (/** @type {GetPeersResponse} **/ r) => {
+      for (let cp of r.values || []) {
+        const peer = decodeCompactPeerInfo(cp);
+        const key = `${peer.address}:${peer.family}:${peer.port}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        found.push(peer);
+      }
+      if (found.length > 0 && wake) wake();
+    }, stopped).then(({ closest }) => {
+      if (!stopped.aborted) this.rememberLookup_(targetID, closest);
+    }, (e) => error = e).finally(() => {
+      done = true;
+      if (wake) wake();
+    });
+
+    try {
+      while (true) {
+        while (found.length > 0) yield /** @type {PeerInfo} */ (found.shift());
+        if (done) break;
+        await new Promise((resolve) => wake = () => resolve(undefined));
+        wake = null;
+      }
+      throwIfAborted(signal);
+      if (error) throw error;
+    } finally {
+      controller.abort();
+    }
+  }
+
+
   /**
    * Handle an incoming `get_peers` query.
    * @param {GetPeersRequest} args The args object that was sent.
@@ -481,15 +1138,35 @@ export default class DHT extends EventEmitter {
 
       // according to BEP5, if we find peers locally we should *not* return nodes
       // but that is stupid, so we are going to send nodes no matter what
-      'nodes': this.nodes_.closest(args.info_hash, this.K_)
+      ...this.closestNodesFor(args.info_hash, node, args.want)
     };
 
-    const peers = this.announcedPeers_.get(args.info_hash);
-    if (peers) {
+    // only return peers of the requester's address family, 6 or 18 bytes
+    const size = addressFamily(node) === 'ipv6' ? 18 : 6;
+    const peers = this.livePeers_(args.info_hash);
+    const values = peers && Array.from(peers.keys())
+        .map( (p) => Buffer.from(p, 'hex') )
+        .filter( (p) => p.length === size );
+
+    // BEP-33, the filters are built from the peers we know of right now
+    if (args.scrape) {
+      const seeds = new BloomFilter();
+      const leechers = new BloomFilter();
+      (peers || new Map()).forEach(({ seed }, p) => {
+        const { address } = decodeCompactPeerInfo(Buffer.from(p, 'hex'));
+        (seed ? seeds : leechers).add(address);
+      });
+      r['BFsd'] = seeds.toBuffer();
+      r['BFpe'] = leechers.toBuffer();
+    }
+    if (values && values.length > 0) {
       debug('Node %s:%s \'get_peers\' query found local peers for \'%s\'.',
           node.address, node.port, args.info_hash.toString('hex'));
 
-      r['values'] = Array.from(peers).map( (p) => Buffer.from(p, 'hex') );
+      // a random subset of the peers, as many as fit in the packet
+      const room = MAX_PACKET_SIZE - KRPC_ENVELOPE_SIZE - responseSize(r);
+      const n = Math.floor(room / bencode.encode(values[0]).length);
+      r['values'] = shuffle(values).slice(0, Math.max(0, n));
     } else {
       debug('Node %s:%s \'get_peers\' query did not find local peers for \'%s\'.',
           node.address, node.port, args.info_hash.toString('hex'));
@@ -499,38 +1176,119 @@ export default class DHT extends EventEmitter {
   }
 
 
+  /**
+   * Estimate the size of a swarm with a BEP-33 scrape, merging the bloom
+   * filters returned by the nodes closest to the target hash.
+   * @param {Buffer|string} target The target hash.
+   * @param {OperationOptions=} opt_options The abort signal and deadline.
+   * @return {Promise<ScrapeResult>} The estimated number of seeders and
+   *     leechers.
+   */
+  async scrape(target, opt_options) {
+    const signal = operationSignal(opt_options);
+    target = (typeof target === 'string') ? Buffer.from(target, 'hex') : target;
+    debug('Scraping \'%s\'.', target.toString('hex'));
+
+    const seeds = new BloomFilter();
+    const leechers = new BloomFilter();
+    await this.closest_(target, 'get_peers', {
+      'id': this.id,
+      'info_hash': target,
+      'scrape': 1
+    }, (/** @type {GetPeersResponse} **/ r) => {
+      if (Buffer.isBuffer(r.BFsd)) seeds.merge(r.BFsd);
+      if (Buffer.isBuffer(r.BFpe)) leechers.merge(r.BFpe);
+    }, signal);
+    throwIfAborted(signal);
+
+    return {
+      seeders: Math.round(seeds.estimate()),
+      leechers: Math.round(leechers.estimate())
+    };
+  }
+
+
   /**
    * Announce to the DHT.
    * @param {Buffer|string} target The target hash that we are announcing on.
    * @param {number=} opt_port The port to announce, if this is not supplied
    *     the port will be implied.
+   * @param {boolean=} opt_seed Whether we are a seed, BEP-33.
+   * @param {OperationOptions=} opt_options The abort signal and deadline.
    */
-  async announce_peer(target, opt_port) {
+  async announce_peer(target, opt_port, opt_seed, opt_options) {
     const targetID = (typeof target === 'string') ? Buffer.from(target, 'hex') : target;
+    await this.announce_(targetID, opt_port, opt_seed,
+        operationSignal(opt_options));
+    return targetID;
+  }
+
 
+  /**
+   * Announce to the K closest nodes to the target, reusing the write tokens
+   * of a recent `get_peers` traversal if there was one.
+   * @param {Buffer} targetID The target hash.
+   * @param {number=} opt_port The port to announce, implied if not given.
+   * @param {boolean=} opt_seed Whether we are a seed, BEP-33.
+   * @param {AbortSignal=} opt_signal Aborts the announce.
+   * @return {Promise<{ succeeded: number, failed: number }>} How many of the
+   *     nodes accepted the announce.
+   */
+  async announce_(targetID, opt_port, opt_seed, opt_signal) {
     debug('Announcing \'%s\'%s.', targetID.toString('hex'),
         opt_port ? (' on port ' + opt_port) : '');
 
-    // create a bucket to store nodes with write tokens
-    const writeable = new PQueue(this.K_);
-    await this.closest_(targetID, 'get_peers', {
-      'id': this.id,
-      'info_hash': targetID
-    }, (r, node) => {
-      if (node.token) writeable.push(distance(targetID, node.id), node);
-    });
+    // write to the K closest that gave us a write token
+    const key = targetID.toString('hex');
+    let writeable = (this.recentLookups_.get(key) || [])
+        .filter((node) => node.token);
+    if (writeable.length === 0) {
+      this.recentLookups_.delete(key);
+      const { closest } = await this.closest_(targetID, 'get_peers', {
+        'id': this.id,
+        'info_hash': targetID
+      }, undefined, opt_signal);
+      throwIfAborted(opt_signal);
+      this.rememberLookup_(targetID, closest);
+      writeable = closest.filter((node) => node.token);
+    }
 
-    // write to the K closest
-    const closest = writeable.items();
-    await this.rpc_.query(closest, 'announce_peer', {
+    /** @type {KRPCQueryArgument} */
+    const args = {
       'id': this.id,
       'info_hash': targetID,
       'implied_port': opt_port === undefined ? 1 : 0,
-      'port': opt_port || this.socket_.address().port,
+      'port': opt_port ||
+          ((/** @type {PeerInfo} */ peer) => this.socketFor_(peer).address().port),
       'token': (/** @type {NodeInfo} */ node) => node.token
-    });
+    };
+    if (opt_seed) args['seed'] = 1;
 
-    return targetID;
+    /** @type {any[]} */
+    const results = await this.rpc_.query(writeable, 'announce_peer', args,
+        { signal: opt_signal });
+    throwIfAborted(opt_signal);
+    const succeeded = results.filter((res) => !res.error).length;
+
+    // the tokens may have gone stale, so look the nodes up again next time
+    if (succeeded < results.length) this.recentLookups_.delete(key);
+    return { succeeded, failed: results.length - succeeded };
+  }
+
+
+  /**
+   * Remember the nodes of a finished `get_peers` lookup that gave us a write
+   * token, for an announce soon after. Callers must not pass the partial
+   * result of an aborted lookup.
+   * @param {Buffer} targetID The target hash.
+   * @param {NodeInfo[]} closest The closest nodes found.
+   * @private
+   */
+  rememberLookup_(targetID, closest) {
+    const writeable = closest.filter((node) => node.token);
+    if (writeable.length > 0) {
+      this.recentLookups_.set(targetID.toString('hex'), writeable);
+    }
   }
 
 
@@ -548,67 +1306,309 @@ export default class DHT extends EventEmitter {
     if (!this.announcedPeers_.verifyToken(args.token, target, node)) {
       debug('Node %s:%s \'announce_peer\' to \'%s\' failed with a bad token.',
           node.address, node.port, target.toString('hex'));
-      throw new Error('Bad token');
+      throw new KRPCError(ErrorCode.PROTOCOL, 'Bad token');
+    }
+
+    const peer = encodeCompactPeerInfo({
+      address: node.address,
+      family: node.family,
+      port: args.implied_port ? node.port : args.port
+    }).toString('hex');
+
+    let peers = this.livePeers_(target);
+    if ((!peers || !peers.has(peer)) &&
+        this.peerExpiry_.size >= this.peerOptions_.maxTotal) {
+      debug('Node %s:%s \'announce_peer\' to \'%s\' failed, the store is full.',
+          node.address, node.port, target.toString('hex'));
+      throw new KRPCError(ErrorCode.SERVER, 'Too many peers');
     }
 
-    let peers = this.announcedPeers_.get(target);
     if (!peers) {
-      peers = new Set(); // we use a set to ensure we aren't duplicating
+      /** @type {AnnouncedPeers} */
+      peers = new Map(); // keyed by compact peer info, so no duplicates
       this.announcedPeers_.set(target, peers, node, args.token);
     }
 
-    debug('Node %s:%s announced to \'%s\'.',
-        node.address, node.port, target.toString('hex'));
-    peers.add(encodeCompactNodeInfo({
-      address: node.address,
-      family: 'ipv4',
-      port: args.implied_port ? node.port : args.port
-    }).toString('hex'));
+    // keep the peers in the order they announced, and drop the oldest when
+    // the infohash is full
+    const h = target.toString('hex');
+    peers.delete(peer);
+    this.peerExpiry_.delete(`${h}:${peer}`);
+    if (peers.size >= this.peerOptions_.maxPerInfohash) {
+      const oldest = peers.keys().next().value;
+      peers.delete(oldest);
+      this.peerExpiry_.delete(`${h}:${oldest}`);
+    }
+
+    debug('Node %s:%s announced to \'%s\'%s.',
+        node.address, node.port, target.toString('hex'),
+        args.seed ? ' as a seed' : '');
+    const added = Date.now();
+    peers.set(peer, { seed: !!args.seed, added });
+    this.peerExpiry_.set(`${h}:${peer}`, added);
     return { 'id': this.id };
   }
 
 
+  /**
+   * Sample the infohashes announced to the nodes closest to the target hash,
+   * BEP-51.
+   * @param {Buffer|string} target The target hash.
+   * @param {OperationOptions=} opt_options The abort signal and deadline.
+   * @return {Promise<Buffer[]>} The unique infohashes sampled.
+   */
+  async sample_infohashes(target, opt_options) {
+    const signal = operationSignal(opt_options);
+    target = (typeof target === 'string') ? Buffer.from(target, 'hex') : target;
+    const samples = await this.sampleInfohashes_(target, signal);
+    throwIfAborted(signal);
+    return samples;
+  }
+
+
+  /**
+   * Sample the infohashes near the target, noting how long each node that
+   * answers keeps its sample.
+   * @param {Buffer} target The target hash.
+   * @param {AbortSignal=} opt_signal Stops the lookup.
+   * @param {Set<string>=} opt_sampled The nodes asked already, not to be
+   *     asked again, nor those whose `interval` isn't up. The nodes asked now
+   *     are added.
+   * @return {Promise<Buffer[]>} The unique infohashes sampled.
+   * @private
+   */
+  async sampleInfohashes_(target, opt_signal, opt_sampled) {
+    debug('Sampling infohashes near \'%s\'.', target.toString('hex'));
+    const key = (/** @type {NodeInfo} */ node) =>
+        `${node.id.toString('hex')}:${node.address}:${node.port}`;
+    const skip = !opt_sampled ? undefined : (/** @type {NodeInfo} */ node) => {
+      const k = key(node);
+      if (opt_sampled.has(k) || this.sampledNodes_.has(k)) return true;
+      opt_sampled.add(k);
+      return false;
+    };
+
+    /** @type {Map<string, Buffer>} */
+    const samples = new Map();
+    await this.closest_(target, 'sample_infohashes', {
+      'id': this.id,
+      'target': target
+    }, (/** @type {SampleInfohashesResponse} */ r, node) => {
+      if (r.interval > 0) {
+        this.sampledNodes_.set(key(node), true,
+            { ttl: Math.min(r.interval, MAX_SAMPLE_INTERVAL) * 1000 });
+      }
+      if (!Buffer.isBuffer(r.samples)) return;
+      for (let i = 0; i + 20 <= r.samples.length; i += 20) {
+        const infohash = r.samples.subarray(i, i + 20);
+        samples.set(infohash.toString('hex'), Buffer.from(infohash));
+      }
+    }, opt_signal, skip);
+
+    return Array.from(samples.values());
+  }
+
+
+  /**
+   * Crawl the keyspace for infohashes with `sample_infohashes`, walking a
+   * target through each 1/256th of the keyspace, `CRAWL_CONCURRENCY` at a
+   * time. Each node is sampled once, and not before the `interval` it gave
+   * a previous crawl is up. Each infohash is yielded once, and the crawl ends
+   * after one sweep or when the consumer stops.
+   * @param {OperationOptions=} opt_options The abort signal and deadline of
+   *     the whole crawl.
+   * @return {AsyncGenerator<Buffer>} The infohashes found.
+   */
+  async *crawlInfohashes(opt_options) {
+    /** @type {Buffer[]} */
+    const found = [];
+    /** @type {Set<string>} */
+    const seen = new Set();
+    /** @type {Set<string>} */
+    const sampled = new Set();
+    let done = false;
+    /** @type {any} */
+    let error = null;
+    /** @type {(() => void)|null} */
+    let wake = null;
+
+    // stopped by the caller, or when the consumer stops iterating
+    const signal = operationSignal(opt_options);
+    const controller = new AbortController();
+    const stopped = signal ?
+        AbortSignal.any([signal, controller.signal]) : controller.signal;
+
+    let prefix = 0;
+    const crawl = async () => {
+      while (prefix < 256 && !stopped.aborted) {
+        const target = crypto.randomBytes(20);
+        target[0] = prefix++;
+
+        // a signal of its own, so the lookups running at once don't pile
+        // their listeners onto one
+        const part = AbortSignal.any([stopped]);
+        for (let infohash of
+            await this.sampleInfohashes_(target, part, sampled)) {
+          const key = infohash.toString('hex');
+          if (seen.has(key)) continue;
+          seen.add(key);
+          found.push(infohash);
+        }
+        if (found.length > 0 && wake) wake();
+      }
+    };
+    Promise.all(Array.from({ length: CRAWL_CONCURRENCY }, crawl))
+        .catch((e) => error = e)
+        .finally(() => {
+          done = true;
+          if (wake) wake();
+        });
+
+    try {
+      while (true) {
+        while (found.length > 0) yield /** @type {Buffer} */ (found.shift());
+        if (done) break;
+        await new Promise((resolve) => wake = () => resolve(undefined));
+        wake = null;
+      }
+      throwIfAborted(signal);
+      if (error) throw error;
+    } finally {
+      controller.abort();
+    }
+  }
+
+
+  /**
+   * Handle the 'sample_infohashes' query.
+   * @param {SampleInfohashesRequest} args The request args.
+   * @param {NodeInfo} node The requester.
+   * @return {SampleInfohashesResponse} The response.
+   */
+  handleSampleInfohashes_(args, node) {
+    this.expirePeers_();
+    const num = this.announcedPeers_.size();
+    const now = Date.now();
+
+    // an empty sample isn't kept, so new announces show up straight away
+    if (!this.infohashSample_ || this.infohashSample_.expires <= now) {
+      const sample = shuffle(this.announcedPeers_.keys())
+          .slice(0, MAX_SAMPLES)
+          .map((h) => Buffer.from(h, 'hex'));
+      this.infohashSample_ = sample.length === 0 ? null : {
+        samples: Buffer.concat(sample),
+        expires: now + SAMPLE_INTERVAL * 1000
+      };
+    }
+
+    debug('Node %s:%s \'sample_infohashes\' query, %s infohashes stored.',
+        node.address, node.port, num);
+    return {
+      'id': this.id,
+      'interval': this.infohashSample_ ?
+          Math.ceil((this.infohashSample_.expires - now) / 1000) : 0,
+      'num': num,
+      'samples': this.infohashSample_ ?
+          this.infohashSample_.samples : Buffer.alloc(0),
+      ...this.closestNodesFor(args.target, node, args.want)
+    };
+  }
+
+
+  /**
+   * The peers announced on an infohash, after dropping those that expired.
+   * @param {Buffer} infohash The infohash.
+   * @return {AnnouncedPeers|undefined} The peers, if any.
+   * @private
+   */
+  livePeers_(infohash) {
+    this.expirePeers_();
+    return this.announcedPeers_.get(infohash);
+  }
+
+
+  /**
+   * Drop the peers that expired, oldest first, and the infohashes left with
+   * none. Stops at the first peer that is still live.
+   * @private
+   */
+  expirePeers_() {
+    const expired = Date.now() - this.peerOptions_.ttl;
+    for (const [key, added] of this.peerExpiry_) {
+      if (added > expired) break;
+      this.peerExpiry_.delete(key);
+
+      const [h, peer] = key.split(':');
+      const infohash = Buffer.from(h, 'hex');
+      /** @type {AnnouncedPeers|undefined} */
+      const peers = this.announcedPeers_.get(infohash);
+      if (!peers) continue;
+      peers.delete(peer);
+      if (peers.size === 0) this.announcedPeers_.delete(infohash);
+    }
+  }
+
+
   /**
    * @param {Buffer} id The target node or key id.
    * @param {number=} opt_n How many to return, i.e. n-closest.
+   * @param {AddressFamily=} opt_family The address family, IPv4 by default.
    * @return {NodeInfo[]} The n closest nodes
    */
-  closestNodes(id, opt_n) {
-    return this.nodes_.closest(id, opt_n);
+  closestNodes(id, opt_n, opt_family) {
+    const table = opt_family === 'ipv6' ? this.nodes6_ : this.nodes_;
+    return table.closest(id, opt_n);
   }
-}
 
 
-/**
- * Decode a 'Compact peer info' buffer.
- * @param {Buffer} buf The buffer to decode.
- * @return {PeerInfo} The decoded peer info.
- * @todo Why is ipv6 peer info not described in the BEP?
- */
-function decodeCompactPeerInfo(buf) {
-  const ip = buf.readUInt8(0) + '.' +
-             buf.readUInt8(1) + '.' +
-             buf.readUInt8(2) + '.' +
-             buf.readUInt8(3);
-  const port = buf.readUInt16BE(4);
-  return { address: ip, family: 'ipv4', port: port };
-};
+  /**
+   * Describe the buckets of a routing table, with their ranges, contacts and
+   * when they last changed. Watch the 'node-added', 'node-removed' and
+   * 'bucket-split' events to follow the changes.
+   * @param {AddressFamily=} opt_family The address family, IPv4 by default.
+   * @return {import('./routing.js').BucketInfo[]} The buckets.
+   */
+  buckets(opt_family) {
+    const table = opt_family === 'ipv6' ? this.nodes6_ : this.nodes_;
+    return table.buckets();
+  }
+
+
+  /**
+   * The `nodes` and `nodes6` fields of a response to a query for the target.
+   * Per BEP-32 the `want` argument selects the address families, otherwise
+   * the family the query was received on is used.
+   * @param {Buffer} target The target node or key id.
+   * @param {PeerInfo=} requester The querying node.
+   * @param {Array.<Buffer|string>=} opt_want The `want` argument of the query.
+   * @return {ClosestNodesResponse}
+   */
+  closestNodesFor(target, requester, opt_want) {
+    const want = Array.isArray(opt_want) ?
+        opt_want.map((w) => w.toString()) :
+        [requester && addressFamily(requester) === 'ipv6' ? 'n6' : 'n4'];
+
+    /** @type {ClosestNodesResponse} */
+    const r = {};
+    if (want.includes('n4') && this.socket_) {
+      r.nodes = this.nodes_.closest(target, this.K_);
+    }
+    if (want.includes('n6') && this.socket6_) {
+      r.nodes6 = this.nodes6_.closest(target, this.K_);
+    }
+    return r;
+  }
+}
 
 
 /**
- * Encode a 'Compact peer info' buffer.
- * @param {PeerInfo} peer The decoded peer info.
- * @return {Buffer} The buffer to decode.
+ * Estimate the bencoded size of a response, with its nodes in compact form.
+ * @param {{ nodes?: NodeInfo[], nodes6?: NodeInfo[] }} r The response.
+ * @return {number} The size in bytes.
  */
-function encodeCompactNodeInfo(peer) {
-  const buf = Buffer.alloc(6);
-
-  // todo assumes ipv4
-  const ip_parts = peer.address.split('.').map((i) => parseInt(i, 10));
-  buf.writeUInt8(ip_parts[0], 0);
-  buf.writeUInt8(ip_parts[1], 1);
-  buf.writeUInt8(ip_parts[2], 2);
-  buf.writeUInt8(ip_parts[3], 3);
-  buf.writeUInt16BE(peer.port, 4);
-  return buf;
+function responseSize(r) {
+  const { nodes, nodes6, ...rest } = r;
+  return bencode.encode(rest).length +
+      (nodes ? 12 + nodes.length * 26 : 0) +
+      (nodes6 ? 13 + nodes6.length * 38 : 0);
 }
@@ -1,6 +1,8 @@
 import { EventEmitter } from 'events';
 import bencode from 'bencode';
 import crypto from 'crypto';
+import net from 'net';
+import { encodeAddress, decodeAddress } from './util.js';
 
 import debugLogger from 'debug';
 const debug = debugLogger('dht:rpc');
@@ -11,6 +13,23 @@ const debug = debugLogger('dht:rpc');
  */
 
 
+/**
+ * KRPC error codes, as defined in BEP-5 and BEP-44.
+ * @enum {number}
+ */
+export const ErrorCode = {
+  GENERIC: 201,
+  SERVER: 202,
+  PROTOCOL: 203,
+  METHOD_UNKNOWN: 204,
+  MESSAGE_TOO_BIG: 205,
+  INVALID_SIGNATURE: 206,
+  SALT_TOO_BIG: 207,
+  CAS_MISMATCH: 301,
+  SEQ_TOO_LOW: 302
+};
+
+
 /**
  * Implements the KRPC Protocol, as defined in [BEP 0005].
  * See: http://www.bittorrent.org/beps/bep_0005.html
@@ -24,7 +43,8 @@ export class KRPCSocket extends EventEmitter {
 
   /**
    * @param {UDPSocket} socket The socket to run krpc over.
-   * @param {any=} opt_options
+   * @param {any=} opt_options Optionally `timeout`, and `socket6` for a
+   *     dual-stack node where `socket` is the IPv4 socket.
    */
   constructor(socket, opt_options) {
     super();
@@ -51,10 +71,19 @@ export class KRPCSocket extends EventEmitter {
      */
     this.socket_ = socket;
 
+    /**
+     * The IPv6 socket, if running dual-stack.
+     * @type {UDPSocket|null}
+     * @private
+     */
+    this.socket6_ = opt_options['socket6'] || null;
+
     this.boundHandleMessage_ = this.handleMessage_.bind(this);
     this.boundHandleError = this.handleError_.bind(this);
-    this.socket_.addListener('message', this.boundHandleMessage_);
-    this.socket_.addListener('error', this.boundHandleError);
+    for (let socket of this.sockets_()) {
+      socket.addListener('message', this.boundHandleMessage_);
+      socket.addListener('error', this.boundHandleError);
+    }
   }
 
   /**
@@ -62,9 +91,11 @@ export class KRPCSocket extends EventEmitter {
    */
   dispose() {
     this.removeAllListeners();
-    this.socket_.removeListener('message', this.boundHandleMessage_);
-    this.socket_.removeListener('error', this.boundHandleError);
-    this.socket_.unref();
+    for (let socket of this.sockets_()) {
+      socket.removeListener('message', this.boundHandleMessage_);
+      socket.removeListener('error', this.boundHandleError);
+      socket.unref();
+    }
 
     // clear outstanding transactions
     for (let [_, reject, timeout] of Object.values(this.outstandingTransactions_)) {
@@ -75,18 +106,42 @@ export class KRPCSocket extends EventEmitter {
   }
 
 
+  /**
+   * @return {!Array.<UDPSocket>} The underlying sockets.
+   * @private
+   */
+  sockets_() {
+    return this.socket6_ ? [this.socket_, this.socket6_] : [this.socket_];
+  }
+
+
+  /**
+   * Pick the socket to use for talking to a peer.
+   * @param {PeerInfo} peer The peer.
+   * @return {UDPSocket}
+   * @private
+   */
+  socketFor_(peer) {
+    return (this.socket6_ && addressFamily(peer) === 'ipv6') ?
+        this.socket6_ : this.socket_;
+  }
+
+
   /**
    * @param {PeerInfo|Array.<PeerInfo>} peer
    * @param {string} method
    * @param {KRPCQueryArgument=} opt_args
+   * @param {OperationOptions=} opt_options Optionally a `signal` to abort the
+   *     query with, and a `timeout` to use instead of the socket's.
    * @return {Promise.<any>} The response from the peer to the query
    */
-  query(peer, method, opt_args) {
+  query(peer, method, opt_args, opt_options) {
     opt_args = opt_args || {};
 
     // Accept and map multiple peers
     if (Array.isArray(peer)) {
-      return Promise.all(peer.map((p) => this.query(p, method, opt_args)));
+      return Promise.all(peer.map((p) =>
+          this.query(p, method, opt_args, opt_options)));
     }
 
     // Copy the args object, since we allow functions to provide values
@@ -112,8 +167,8 @@ export class KRPCSocket extends EventEmitter {
       // send the request
       const tstr = tid.toString('hex');
       debug('Sending \'%s\' query [%s] to %s', method, tstr, peer.address + ':' + peer.port);
-      this.socket_.send(buf, 0, buf.length, peer.port, peer.address);
-    }).catch((err) => {
+      this.socketFor_(peer).send(buf, 0, buf.length, peer.port, peer.address);
+    }, opt_options).catch((err) => {
       return { error: err };
     })
   }
@@ -148,52 +203,111 @@ export class KRPCSocket extends EventEmitter {
         debug('Received response for transaction: %s.', tid);
         const r = bmsg.r;
         if (r.nodes) {
-          r.nodes = decodeRecievedNodes(r.nodes);
+          r.nodes = decodeRecievedNodes(r.nodes, 'ipv4');
+        }
+        if (r.nodes6) {
+          r.nodes6 = decodeRecievedNodes(r.nodes6, 'ipv6');
         }
 
         let node = makeNodeInfo(r.id, rinfo, r.token);
         this.emit('response', node, bmsg.r);
+
+        // BEP-42, responders tell us what our address looks like to them
+        if (Buffer.isBuffer(bmsg.ip) &&
+            (bmsg.ip.length === 6 || bmsg.ip.length === 18)) {
+          this.emit('ip', decodeCompactPeerInfo(bmsg.ip), node);
+        }
         resolve({
           node: node,
           r: bmsg.r
         });
       } else {
-        const [code, desc] = bmsg.e;
+        const [code, desc] = Array.isArray(bmsg.e) ?
+            bmsg.e : [ErrorCode.GENERIC, ''];
         debug('Error response for transaction %s: %s %s', tid, code, desc);
-        const err = new KRPCError(code, desc.toString(), rinfo); 
+        const err = new KRPCError(code, desc ? desc.toString() : '', rinfo);
 
         reject(err);
         // this.emit('error', err);
       }
     } else if (msgtype === 'q') {
+      if (!bmsg.q || !bmsg.a || bmsg.a.id === undefined) {
+        debug('Malformed query [%s] from %s:%s', tid, rinfo.address, rinfo.port);
+        this.sendError_(bmsg.t, rinfo,
+            new KRPCError(ErrorCode.PROTOCOL, 'Protocol Error'));
+        return;
+      }
+
       const method = bmsg.q.toString();
       debug('Received incoming query with method \'%s\' from %s:%s',
           method, rinfo.address, rinfo.port);
 
-      const node = makeNodeInfo(bmsg.a.id, rinfo);
-      this.emit('query', method, bmsg.a, node, (/** @type {any} */ r) => {
+      // only the first handler to respond (or fail) gets to answer the query
+      let answered = false;
+      const respond = (/** @type {any} */ r) => {
+        if (answered) return;
+        answered = true;
+
         // todo clean this up
         if (r.nodes) {
           r.nodes = encodeCompactNodeSet(r.nodes);
         }
+        if (r.nodes6) {
+          r.nodes6 = encodeCompactNodeSet(r.nodes6);
+        }
 
         const buf = bencode.encode({
           't': bmsg.t,   // transaction id
           'y': 'r',      // message type, 'r' is 'response'
-          'r': r         // the response
+          'r': r,        // the response
+          'ip': encodeCompactPeerInfo(rinfo)   // the requester's address
         });
 
         // send the response
         debug('Sending response to \'%s\' query [%s] to %s', method, tid,
             rinfo.address + ':' + rinfo.port);
-        this.socket_.send(buf, 0, buf.length, rinfo.port, rinfo.address);
-      });
+        this.socketFor_(rinfo).send(buf, 0, buf.length, rinfo.port, rinfo.address);
+      };
+      const fail = (/** @type {any} */ err) => {
+        if (answered) return;
+        answered = true;
+
+        // only typed errors are sent verbatim, anything else is our fault
+        if (!(err instanceof KRPCError)) {
+          debug('Handler for \'%s\' query [%s] failed: %s', method, tid, err);
+          err = new KRPCError(ErrorCode.SERVER, 'Server Error');
+        }
+        this.sendError_(bmsg.t, rinfo, err);
+      };
+
+      const node = makeNodeInfo(bmsg.a.id, rinfo);
+      this.emit('query', method, bmsg.a, node, respond, fail);
     } else {
       debug('Unexpected krpc message type \'%s\'.', msgtype);
     }
   }
 
 
+  /**
+   * Send an error message in reply to a query.
+   * @param {Buffer} t The transaction id of the query.
+   * @param {PeerInfo} peer The peer that sent the query.
+   * @param {KRPCError} err The error to send.
+   * @private
+   */
+  sendError_(t, peer, err) {
+    const buf = bencode.encode({
+      't': t,                             // transaction id
+      'y': 'e',                           // message type, 'e' is 'error'
+      'e': [err.code, err.description]    // the error code and message
+    });
+
+    debug('Sending error %s \'%s\' to %s', err.code, err.description,
+        peer.address + ':' + peer.port);
+    this.socketFor_(peer).send(buf, 0, buf.length, peer.port, peer.address);
+  }
+
+
   /**
    * @param {Error} err The error to handle
    */
@@ -207,12 +321,19 @@ export class KRPCSocket extends EventEmitter {
    * send -> response API, we need to do some special wrapping.
    * @param {!PeerInfo} peer 
    * @param {!function(Buffer):void} inner The inner function that will be transacted.
+   * @param {OperationOptions=} opt_options The abort signal and timeout.
    * @return {!Promise.<any>} The transaction resolution. 
    */
-  transact_(peer, inner) {
+  transact_(peer, inner, opt_options) {
+    const signal = opt_options && opt_options.signal;
+    const responseTimeout = (opt_options && opt_options.timeout !== undefined) ?
+        opt_options.timeout : this.RESPONSE_TIMEOUT_;
+
     // Return the promise that will resolve on a response with
     // the correct transaction id.
     return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) return reject(signal.reason);
+
       // Generate a random transaction id for responses
       let tid;
       do {
@@ -222,21 +343,27 @@ export class KRPCSocket extends EventEmitter {
 
       /** @type {NodeJS.Timeout=} */
       let timeout = undefined;
+      const onAbort = () => {
+        debug('Transaction aborted: ' + tstr);
+        this.outstandingTransactions_[tstr][1](signal && signal.reason);
+      };
       const cleanUp = () => {
         delete this.outstandingTransactions_[tstr];
         if (timeout) clearTimeout(timeout);
+        if (signal) signal.removeEventListener('abort', onAbort);
       };
 
       // set the timeout
-      if (this.RESPONSE_TIMEOUT_ !== 0) {
+      if (responseTimeout !== 0) {
         timeout = setTimeout(() => {
           this.emit('timeout', peer);
 
           cleanUp();
           debug('Timeout exceeded for transaction: ' + tstr);
           reject(new Error('Timeout exceeded for transaction: ' + tstr));
-        }, this.RESPONSE_TIMEOUT_);
+        }, responseTimeout);
       }
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
 
       // Register the transaction
       this.outstandingTransactions_[tstr] = [
@@ -253,12 +380,14 @@ export class KRPCSocket extends EventEmitter {
 
 
 /**
+ * An error as sent or received over KRPC. Query handlers may throw these to
+ * reply with a specific error code, see `ErrorCode`.
  */
-class KRPCError extends Error {
+export class KRPCError extends Error {
   /**
    * @param {number} code
    * @param {string} description
-   * @param {PeerInfo} peer
+   * @param {PeerInfo=} peer The peer that sent the error, if received.
    */
   constructor(code, description, peer) {
     super(`[${code}]: ${description}`);
@@ -271,29 +400,81 @@ class KRPCError extends Error {
 
 
 /**
- * Decode a 'Compact node info' buffer.
+ * Get the address family of a peer, i.e. 'ipv4' or 'ipv6'. Falls back to
+ * inspecting the address if the family isn't known.
+ * @param {PeerInfo} peer The peer.
+ * @return {'ipv4'|'ipv6'} The address family.
+ */
+export function addressFamily(peer) {
+  if (peer.family) {
+    return String(peer.family).toLowerCase() === 'ipv6' ? 'ipv6' : 'ipv4';
+  }
+  return net.isIPv6(peer.address) ? 'ipv6' : 'ipv4';
+}
+
+
+/**
+ * Decode a 'Compact peer info' buffer, 6 bytes for IPv4 or 18 bytes for IPv6
+ * as described in [BEP 0032](http://www.bittorrent.org/beps/bep_0032.html).
+ * @param {Buffer} buf The buffer to decode.
+ * @return {PeerInfo} The decoded peer info.
+ */
+export function decodeCompactPeerInfo(buf) {
+  const family = buf.length === 18 ? 'ipv6' : 'ipv4';
+  const len = family === 'ipv6' ? 16 : 4;
+  const ip = decodeAddress(buf.subarray(0, len));
+  const port = buf.readUInt16BE(len);
+  return { address: ip, family: family, port: port };
+};
+
+
+/**
+ * Encode a 'Compact peer info' buffer.
+ * @param {PeerInfo} peer The decoded peer info.
+ * @return {Buffer} The encoded peer info.
+ */
+export function encodeCompactPeerInfo(peer) {
+  const ip = encodeAddress(peer.address);
+  const buf = Buffer.alloc(ip.length + 2);
+  ip.copy(buf);
+  buf.writeUInt16BE(peer.port, ip.length);
+  return buf;
+}
+
+
+/**
+ * Decode a 'Compact node info' buffer, 26 bytes for IPv4 or 38 bytes for IPv6.
  * @param {Buffer} buf The buffer to decode.
  * @return {NodeInfo} The decoded node info.
  */
-function decodeCompactNodeInfo(buf) {
-  const id = buf.slice(0, 20)
-  const ip = buf.readUInt8(20) + '.' +
-             buf.readUInt8(21) + '.' +
-             buf.readUInt8(22) + '.' +
-             buf.readUInt8(23);
-  const port = buf.readUInt16BE(24);
-  return { id: id, address: ip, port: port, family: 'ipv4' }; // todo support ipv6
+export function decodeCompactNodeInfo(buf) {
+  const id = buf.subarray(0, 20);
+  return { id: id, ...decodeCompactPeerInfo(buf.subarray(20)) };
 };
 
 
 /**
- * @param {Buffer} buffer
+ * Encode a 'Compact node info' buffer.
+ * @param {NodeInfo} node The decoded node info.
+ * @return {Buffer} The encoded node info.
+ */
+export function encodeCompactNodeInfo(node) {
+  return Buffer.concat([node.id, encodeCompactPeerInfo(node)]);
+}
+
+
+/**
+ * Decode the `nodes` or `nodes6` field of a response, any trailing partial
+ * entry is ignored.
+ * @param {Buffer} buffer The concatenated compact node infos.
+ * @param {'ipv4'|'ipv6'} family The address family of the nodes.
  */
-function decodeRecievedNodes(buffer) {
-  const len = buffer.length / 26;
+function decodeRecievedNodes(buffer, family) {
+  const size = family === 'ipv6' ? 38 : 26;
+  const len = Math.floor(buffer.length / size);
   const nodes = [];
   for (let i = 0; i < len; i++) {
-    nodes.push(decodeCompactNodeInfo(buffer.slice(i * 26)));
+    nodes.push(decodeCompactNodeInfo(buffer.subarray(i * size, (i + 1) * size)));
   }
   return nodes;
 };
@@ -310,40 +491,16 @@ function makeNodeInfo(id, peer, token=undefined) {
   return {
     id: id,
     address: peer.address,
-    family: peer.family,
+    family: addressFamily(peer),
     port: peer.port,
     token: token
   };
 };
 
 
-/**
- * Encode a 'Compact node info' buffer.
- * @param {NodeInfo} node The decoded node info.
- * @return {Buffer} The buffer to decode.
- */
-function encodeCompactNodeInfo(node) {
-  const buf = Buffer.alloc(26);
-  node.id.copy(buf);
-
-  // todo assumes ipv4
-  const ip_parts = node.address.split('.').map((i) => parseInt(i, 10));
-  buf.writeUInt8(ip_parts[0], 20);
-  buf.writeUInt8(ip_parts[1], 21);
-  buf.writeUInt8(ip_parts[2], 22);
-  buf.writeUInt8(ip_parts[3], 23);
-  buf.writeUInt16BE(node.port, 24);
-  return buf;
-}
-
-
 /**
  * @param {Array.<NodeInfo>} nodes
  */
 function encodeCompactNodeSet(nodes) {
-  const buf = Buffer.alloc(nodes.length * 26);
-  nodes.map(encodeCompactNodeInfo).forEach((nb, i) => {
-    nb.copy(buf, i * 26);
-  });
-  return buf;
+  return Buffer.concat(nodes.map(encodeCompactNodeInfo));
 };
@@ -0,0 +1,175 @@
+import { LRUCache } from 'lru-cache';
+
+import debugLogger from 'debug';
+const debug = debugLogger('dht:maintenance');
+
+
+
+/** @define {number} */
+const TICK_INTERVAL = 1000;
+
+/** @define {number} */
+const DEFAULT_REFRESH_INTERVAL = 1000 * 60 * 15;  // 15 minutes, per BEP-5
+
+/** @define {number} */
+const DEFAULT_JITTER = 0.1;
+
+/** @define {number} */
+const DEFAULT_QUERIES_PER_SECOND = 10;
+
+/** @define {number} */
+const PING_INTERVAL = 1000 * 60;  // between pings of the same node
+
+
+/**
+ * @typedef {{
+ *   refreshInterval?: number,
+ *   jitter?: number,
+ *   queriesPerSecond?: number
+ * }} MaintenanceOptions
+ */
+
+
+/**
+ * Keeps the routing tables fresh without flooding the network.
+ * Every tick at most one bucket is refreshed and questionable nodes are
+ * pinged with what is left, round robin. Buckets are refreshed
+ * `refreshInterval` after they last changed, give or take `jitter` (a
+ * fraction of the interval), so they don't all come due at once.
+ * All of it is paid for from a budget of `queriesPerSecond`, a ping costs
+ * one query and a refresh, a lookup, is counted as K queries.
+ */
+export default class Maintenance {
+  /**
+   * @param {import('./index.js').default} dht The DHT to maintain.
+   * @param {MaintenanceOptions=} opt_options Optionally the refresh interval,
+   *     jitter and query budget.
+   */
+  constructor(dht, opt_options) {
+    opt_options = opt_options || {};
+
+    /**
+     * @private
+     */
+    this.dht_ = dht;
+
+    /**
+     * @type {number}
+     * @private
+     */
+    this.refreshInterval_ = opt_options.refreshInterval || DEFAULT_REFRESH_INTERVAL;
+
+    /**
+     * @type {number}
+     * @private
+     */
+    this.jitter_ = opt_options.jitter === undefined ?
+        DEFAULT_JITTER : opt_options.jitter;
+
+    /**
+     * @type {number}
+     * @private
+     */
+    this.queriesPerSecond_ =
+        opt_options.queriesPerSecond || DEFAULT_QUERIES_PER_SECOND;
+
+    /**
+     * The unspent budget, in queries.
+     * @type {number}
+     * @private
+     */
+    this.budget_ = 0;
+
+    /**
+     * @type {number}
+     * @private
+     */
+    this.lastTick_ = Date.now();
+
+    /**
+     * Nodes pinged recently, by address, so they aren't pinged every tick.
+     * @type {LRUCache<string, boolean>}
+     * @private
+     */
+    this.pinged_ = new LRUCache({ max: 1000, ttl: PING_INTERVAL });
+
+    /**
+     * @type {NodeJS.Timeout|undefined}
+     * @private
+     */
+    this.timer_ = undefined;
+  }
+
+  /**
+   * Start the maintenance ticks.
+   */
+  start() {
+    if (this.timer_) return;
+    this.lastTick_ = Date.now();
+    this.timer_ = setInterval(() => this.tick_(), TICK_INTERVAL);
+    this.timer_.unref();
+  }
+
+  /**
+   * Stop all maintenance.
+   */
+  dispose() {
+    clearInterval(this.timer_);
+    this.timer_ = undefined;
+    this.pinged_.clear();
+  }
+
+  /**
+   * Spend the budget earned since the last tick.
+   * @private
+   */
+  tick_() {
+    const now = Date.now();
+    const refreshCost = this.dht_.K_;
+
+    // the budget may save up for one refresh, but no more
+    const earned = this.queriesPerSecond_ * (now - this.lastTick_) / 1000;
+    this.budget_ = Math.min(this.budget_ + earned,
+        Math.max(this.queriesPerSecond_, refreshCost));
+    this.lastTick_ = now;
+
+    const tables = this.dht_.routingTables_();
+    if (this.budget_ >= refreshCost) this.refresh_(tables, refreshCost);
+
+    // while a refresh is due the pings leave enough for it, or a table full
+    // of questionable nodes would starve the refreshes
+    const reserve = tables.some((table) => table.isRefreshDue(
+        this.refreshInterval_, this.jitter_)) ? refreshCost : 0;
+    for (let table of tables) {
+      if (this.budget_ - reserve < 1) return;
+      for (let node of table.questionableNodes()) {
+        const key = `${node.address}:${node.port}`;
+        if (this.pinged_.has(key)) continue;
+
+        this.pinged_.set(key, true);
+        this.budget_ -= 1;
+        this.dht_.ping(node);
+        if (this.budget_ - reserve < 1) return;
+      }
+    }
+  }
+
+  /**
+   * Refresh the bucket most overdue, of any of the tables.
+   * @param {import('./routing.js').RoutingTable[]} tables The routing tables.
+   * @param {number} cost The cost of a refresh.
+   * @private
+   */
+  refresh_(tables, cost) {
+    for (let table of tables) {
+      const target = table.nextRefresh(this.refreshInterval_, this.jitter_);
+      if (!target) continue;
+
+      debug('Refreshing the bucket of %s.', target.toString('hex'));
+      this.budget_ -= cost;
+      this.dht_.find_node(target).catch((e) =>
+          debug('Refreshing the bucket of %s failed: %s', target.toString('hex'), e));
+      return;
+    }
+  }
+}
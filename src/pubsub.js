@@ -1,34 +1,463 @@
 import ed25519 from 'ed25519-supercop';
 import bencode from 'bencode';
-import TokenStore from '#root/src/token-store';
-import { sha1 } from '#root/src/util';
+import EventEmitter from 'events';
+import { LRUCache } from 'lru-cache';
+
+import TokenStore from './token-store.js';
+import { KRPCError, ErrorCode } from './krpc.js';
+import { operationSignal, throwIfAborted } from './util.js';
 
 import debugLogger from 'debug';
-const debug = debugLogger('dht:storage');
+const debug = debugLogger('dht:pubsub');
+
+
+/** @define {number} */
+const MAX_MESSAGE_SIZE = 1000;  // bencoded bytes
+
+/** @define {number} */
+const MAX_SUBSCRIBERS = 64;  // per topic
+
+/** @define {number} */
+const SUBSCRIPTION_TTL = 10 * 60 * 1000; // 10 minutes
+
+/** @define {number} */
+const RESUBSCRIBE_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+
+/**
+ * @typedef {{
+ *    topic: Buffer, k: Buffer, seq: number, v: Buffer, sig: Buffer
+ * }} PubSubMessage
+ * @typedef {{ v?: Buffer|string, seq?: number, sig?: Buffer }} PubSubRecord
+ * @typedef {function(function(PubSubRecord, Buffer): PubSubRecord): PubSubRecord} PubSubSignatureCallback
+ * @typedef {{ id: Buffer, target: Buffer, token?: Buffer, want?: Buffer[] }} SubscribeRequest
+ * @typedef {{
+ *    id: Buffer, target: Buffer, k: Buffer, seq: number, sig: Buffer, v: Buffer
+ * }} PublishRequest
+ */
+
+
+/**
+ * A subscription to a topic, emits a 'message' event for every message
+ * published to the topic, 'subscribed' each time the subscription is
+ * registered with the topic's nodes, and 'error' if that fails. It can also
+ * be consumed as an async iterator, which ends when the subscription is
+ * closed.
+ */
+export class Subscription extends EventEmitter {
+  /**
+   * @param {Buffer} topic The topic.
+   * @param {function(Subscription): void} onclose Called when closed.
+   */
+  constructor(topic, onclose) {
+    super();
+    this.topic = topic;
+
+    /**
+     * @private
+     */
+    this.onclose_ = onclose;
+
+    /**
+     * Aborted when closed, to end any iterators.
+     * @private
+     */
+    this.closed_ = new AbortController();
+  }
+
+
+  /**
+   * Stop receiving messages.
+   */
+  close() {
+    if (this.closed_.signal.aborted) return;
+    this.closed_.abort();
+    this.onclose_(this);
+    this.emit('close');
+  }
 
 
+  /**
+   * @return {AsyncGenerator<PubSubMessage>}
+   */
+  async *[Symbol.asyncIterator]() {
+    const messages = EventEmitter.on(this, 'message',
+        { signal: this.closed_.signal });
+    try {
+      for await (const [msg] of messages) yield msg;
+    } catch (e) {
+      if (!this.closed_.signal.aborted) throw e;
+    }
+  }
+}
+
 
 /**
  * Publish/Subscribe Extension for the DHT.
  * Implements [BEP-50](http://www.bittorrent.org/beps/bep_0050.html)
+ * Subscribers register with the K closest nodes to the topic, which relay
+ * every signed message published to the topic on to their subscribers.
  */
-export default function DHTPubSub(dht) {
-  this.provides = ['publish', 'subscribe'];
+export default class DHTPubSub {
+
+  /**
+   * @param {IDHT} dht The DHT instance that this extension is extending
+   */
+  constructor(dht) {
+    this.provides = ['publish', 'subscribe'];
+    this.queries = ['subscribe', 'publish'];
+
+    /**
+     * @private
+     */
+    this.dht_ = dht;
+
+    /**
+     * @private
+     */
+    this.rpc_ = dht.rpc_;
+    this.rpc_.on('query', this.handleQuery_.bind(this));
+
+    /**
+     * The nodes subscribed to each topic through us, keyed by address and
+     * mapped to when the subscription expires.
+     * @type {!TokenStore}
+     * @private
+     */
+    this.subscribers_ = new TokenStore(dht.tokenOptions_);
+
+    /**
+     * Our own subscriptions, by topic, and what aborts registering them.
+     * @type {!Map<string, {
+     *   subs: Set<Subscription>,
+     *   timer: NodeJS.Timeout,
+     *   closed: AbortController
+     * }>}
+     * @private
+     */
+    this.subscriptions_ = new Map();
+
+    /**
+     * The messages already seen, so they are only delivered and relayed once.
+     * @type {LRUCache<string, boolean>}
+     * @private
+     */
+    this.seen_ = new LRUCache({ max: 1000, ttl: SUBSCRIPTION_TTL });
+
+    /**
+     * The last sequence number we published with.
+     * @type {number}
+     * @private
+     */
+    this.seq_ = 0;
+  }
+
+
+  /**
+   * Dispose this object.
+   */
+  dispose() {
+    this.subscriptions_.forEach(({ subs }) =>
+        Array.from(subs).forEach((s) => s.close()));
+    this.subscribers_.dispose();
+    this.seen_.clear();
+  }
+
+
+  /**
+   * Subscribe to a topic.
+   * @param {Buffer|string} topic The topic (info) hash.
+   * @return {Subscription} The subscription.
+   */
+  subscribe(topic) {
+    const target = typeof topic === 'string' ? Buffer.from(topic, 'hex') : topic;
+    const key = target.toString('hex');
+
+    const sub = new Subscription(target, (s) => {
+      const entry = this.subscriptions_.get(key);
+      if (!entry) return;
+      entry.subs.delete(s);
+      if (entry.subs.size > 0) return;
+
+      // the topic's nodes forget about us once the subscription expires
+      clearInterval(entry.timer);
+      entry.closed.abort();
+      this.subscriptions_.delete(key);
+      debug('Unsubscribed from \'%s\'.', key);
+    });
+
+    let entry = this.subscriptions_.get(key);
+    if (entry) {
+      entry.subs.add(sub);
+      this.register_(target, [sub]);
+      return sub;
+    }
+
+    const timer = setInterval(() => this.register_(target), RESUBSCRIBE_INTERVAL);
+    timer.unref();
+    this.subscriptions_.set(key,
+        { subs: new Set([sub]), timer, closed: new AbortController() });
+    this.register_(target);
+    return sub;
+  }
+
+
+  /**
+   * Register our subscription with the K closest nodes to the topic, stopped
+   * once the topic's subscriptions are all closed. Failures are emitted as
+   * 'error' on the subscriptions listening for it.
+   * @param {Buffer} target The topic.
+   * @param {Subscription[]=} opt_subs The subscriptions to notify, all of the
+   *     topic's by default.
+   * @private
+   */
+  async register_(target, opt_subs) {
+    const entry = this.subscriptions_.get(target.toString('hex'));
+    if (!entry) return;
+    const subs = opt_subs || Array.from(entry.subs);
+    const signal = entry.closed.signal;
+
+    debug('Subscribing to \'%s\'.', target.toString('hex'));
+    try {
+      const { closest } = await this.dht_.closest_(target, 'subscribe', {
+        'target': target,
+        'id': this.dht_.id
+      }, undefined, signal);
+      throwIfAborted(signal);
+
+      const writeable = closest.filter((node) => node.token);
+      /** @type {any[]} */
+      const results = await this.rpc_.query(writeable, 'subscribe', {
+        'target': target,
+        'id': this.dht_.id,
+        'token': (/** @type {NodeInfo} */ node) => node.token
+      }, { signal });
+      throwIfAborted(signal);
+
+      const nodes = results.filter((res) => !res.error).map((res) => res.node);
+      subs.forEach((s) => s.emit('subscribed', nodes));
+    } catch (e) {
+      if (signal.aborted) return;
+      debug('Subscribing to \'%s\' failed: %s', target.toString('hex'), e);
+      subs.forEach((s) => {
+        if (s.listenerCount('error') > 0) s.emit('error', e);
+      });
+    }
+  }
+
+
+  /**
+   * Publish a signed message to a topic.
+   * @param {Buffer|string} topic The topic (info) hash.
+   * @param {Buffer} k The ed25519 public key the message is signed with.
+   * @param {PubSubSignatureCallback} cb The signature callback, e.g.
+   *     `(sign) => sign({ v: 'hello' }, secretKey)`.
+   * @param {OperationOptions=} opt_options The abort signal and deadline.
+   * @return {Promise<NodeInfo[]>} The nodes that accepted the message.
+   */
+  async publish(topic, k, cb, opt_options) {
+    const signal = operationSignal(opt_options);
+    const target = typeof topic === 'string' ? Buffer.from(topic, 'hex') : topic;
+    if (!Buffer.isBuffer(k) || k.length !== 32) {
+      throw new Error('ed25519 public key must be 32 bytes.');
+    }
+    if (!cb) throw new Error('A signing function must be provided');
+
+    // sequence numbers only need to be unique, so they are time based
+    this.seq_ = Math.max(this.seq_ + 1, Date.now());
+
+    const signed = cb((r, secretKey) => {
+      r.v = typeof r.v === 'string' ? Buffer.from(r.v) : r.v;
+      r.seq = r.seq === undefined ? this.seq_ : r.seq;
+      r.sig = ed25519.sign(encodeSigData(target, r), k, secretKey);
+      return r;
+    });
+    const v = typeof signed.v === 'string' ? Buffer.from(signed.v) : signed.v;
+    if (!v || bencode.encode(v).length > MAX_MESSAGE_SIZE) {
+      throw new Error('v must be less than 1000 bytes');
+    }
+
+    /** @type {PublishRequest} */
+    const args = {
+      id: this.dht_.id,
+      target: target,
+      k: k,
+      seq: /** @type {number} */ (signed.seq),
+      sig: /** @type {Buffer} */ (signed.sig),
+      v: v
+    };
+    this.deliver_(args);
+
+    debug('Publishing to \'%s\'.', target.toString('hex'));
+    const { closest } = await this.dht_.closest_(target, 'subscribe', {
+      'target': target,
+      'id': this.dht_.id
+    }, undefined, signal);
+    throwIfAborted(signal);
+
+    /** @type {any[]} */
+    const results = await this.rpc_.query(closest, 'publish', args, { signal });
+    throwIfAborted(signal);
+    return results.filter((res) => !res.error).map((res) => res.node);
+  }
+
+
+  /**
+   * Deliver a message to our subscriptions, unless it was seen before. A
+   * message is known by its topic, key and sequence number, so one that is
+   * signed again with other contents isn't delivered or relayed again.
+   * @param {PublishRequest} args The publish args.
+   * @return {boolean} Whether the message is new.
+   * @private
+   */
+  deliver_(args) {
+    const id = args.target.toString('hex') + ':' + args.k.toString('hex') +
+        ':' + args.seq;
+    if (this.seen_.has(id)) return false;
+    this.seen_.set(id, true);
+
+    const entry = this.subscriptions_.get(args.target.toString('hex'));
+    if (!entry) return true;
+
+    /** @type {PubSubMessage} */
+    const msg = {
+      topic: args.target,
+      k: args.k,
+      seq: args.seq,
+      v: args.v,
+      sig: args.sig
+    };
+    entry.subs.forEach((s) => s.emit('message', msg));
+    return true;
+  }
+
+
+  /**
+   * @param {string} method The query method we are handling.
+   * @param {any} args The arguments.
+   * @param {NodeInfo} node The sending node
+   * @param {function(any):void} respond
+   * @param {function(any):void} fail
+   */
+  handleQuery_(method, args, node, respond, fail) {
+    try {
+      if (method === 'subscribe') respond( this.handleSubscribeQuery_(args, node) );
+      if (method === 'publish') respond( this.handlePublishQuery_(args, node) );
+    } catch (e) {
+      fail(e);
+    }
+  }
+
+
+  /**
+   * Handle a subscribe query, without a token it is only a lookup of the
+   * topic's nodes.
+   * @param {SubscribeRequest} args The subscribe query args.
+   * @param {NodeInfo} node The requesting node.
+   * @private
+   */
+  handleSubscribeQuery_(args, node) {
+    if (!Buffer.isBuffer(args.target)) {
+      throw new KRPCError(ErrorCode.PROTOCOL, 'Protocol Error');
+    }
+
+    const r = {
+      id: this.dht_.id,
+      token: this.subscribers_.getWriteToken(args.target, node),
+      ...this.dht_.closestNodesFor(args.target, node, args.want)
+    };
+    if (args.token === undefined) return r;
+
+    if (!this.subscribers_.verifyToken(args.token, args.target, node)) {
+      debug('Node %s:%s \'subscribe\' to \'%s\' failed with a bad token.',
+          node.address, node.port, args.target.toString('hex'));
+      throw new KRPCError(ErrorCode.PROTOCOL, 'Bad token');
+    }
+
+    /** @type {Map<string, { node: NodeInfo, expires: number }>} */
+    let subscribers = this.subscribers_.get(args.target);
+    if (!subscribers) {
+      subscribers = new Map();
+      this.subscribers_.set(args.target, subscribers, node, args.token);
+    }
+
+    const key = `${node.address}:${node.port}`;
+    pruneSubscribers(subscribers);
+    if (!subscribers.has(key) && subscribers.size >= MAX_SUBSCRIBERS) {
+      throw new KRPCError(ErrorCode.SERVER, 'Too many subscribers');
+    }
+
+    debug('Node %s:%s subscribed to \'%s\'.',
+        node.address, node.port, args.target.toString('hex'));
+    subscribers.set(key, { node, expires: Date.now() + SUBSCRIPTION_TTL });
+    return r;
+  }
+
 
   /**
+   * Handle a publish query, delivering the message to our subscriptions and
+   * relaying it to the topic's subscribers.
+   * @param {PublishRequest} args The publish query args.
+   * @param {NodeInfo} node The requesting node.
+   * @private
    */
-  this.dht_ = dht;
+  handlePublishQuery_(args, node) {
+    if (!Buffer.isBuffer(args.target) || !Buffer.isBuffer(args.k) ||
+        !Buffer.isBuffer(args.sig) || args.v === undefined) {
+      throw new KRPCError(ErrorCode.PROTOCOL, 'Protocol Error');
+    }
+    if (bencode.encode(args.v).length > MAX_MESSAGE_SIZE) {
+      throw new KRPCError(ErrorCode.MESSAGE_TOO_BIG,
+          'message (v field) too big.');
+    }
+    if (!ed25519.verify(args.sig, encodeSigData(args.target, args), args.k)) {
+      debug('Node %s:%s bad \'publish\' query: signature does not match.',
+          node.address, node.port);
+      throw new KRPCError(ErrorCode.INVALID_SIGNATURE, 'Bad signature');
+    }
+
+    // marked as seen before relaying, so it isn't relayed again when it comes
+    // back from another hop
+    const r = { id: this.dht_.id };
+    if (!this.deliver_(args)) return r;
 
-  // /**
-  //  */
-  // this.rpc_ = dht.rpc_;
-  // this.rpc_.on('query', this.handleQuery_.bind(this));
-};
+    // relay only to the nodes subscribed through us, except the sender
+    /** @type {Map<string, { node: NodeInfo, expires: number }>|undefined} */
+    const subscribers = this.subscribers_.get(args.target);
+    if (!subscribers) return r;
+    pruneSubscribers(subscribers);
+
+    const nodes = Array.from(subscribers.values())
+        .map((s) => s.node)
+        .filter((n) => n.address !== node.address || n.port !== node.port);
+    if (nodes.length === 0) return r;
+
+    debug('Relaying message on \'%s\' to %s subscribers.',
+        args.target.toString('hex'), nodes.length);
+    this.rpc_.query(nodes, 'publish', { ...args, id: this.dht_.id });
+    return r;
+  }
+}
 
 
 /**
- * Returns an EventEmitter that will fire on events.
+ * Remove the expired subscribers.
+ * @param {Map<string, { node: NodeInfo, expires: number }>} subscribers
  */
-DHTPubSub.prototype.subscribe = function(infohash) {
+function pruneSubscribers(subscribers) {
+  const now = Date.now();
+  subscribers.forEach((s, key) => {
+    if (s.expires <= now) subscribers.delete(key);
+  });
+}
+
 
-};
+/**
+ * The signed part of a message, which is bound to the topic.
+ * @param {Buffer} topic The topic.
+ * @param {PubSubRecord} msg The message.
+ * @return {Buffer}
+ */
+function encodeSigData(topic, msg) {
+  return bencode.encode({ seq: msg.seq || 0, t: topic, v: msg.v }).slice(1, -1);
+}
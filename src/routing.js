@@ -1,4 +1,7 @@
+import crypto from 'crypto';
 import { EventEmitter } from 'events';
+import { isExemptAddress, verifySecureNodeId } from './security.js';
+import { encodeAddress } from './util.js';
 
 import debugLogger from 'debug';
 const debug = debugLogger('dht:routing');
@@ -8,6 +11,15 @@ const debug = debugLogger('dht:routing');
 const GOODNESS_TIMEOUT = 15 * 60 * 1000;   // 15 minutes
 const SILENCE_BEFORE_BAD = 3;
 
+/** @define {number} */
+const MAX_PER_IP = 1;
+
+/** @define {number} */
+const MAX_PER_SUBNET = 2;  // per bucket
+
+/** @define {number} */
+const PING_RETRY_DELAY = 5 * 1000;
+
 
 
 class Node {
@@ -41,6 +53,13 @@ class Node {
     return this.failedResponses >= SILENCE_BEFORE_BAD
   }
 
+  /**
+   * Whether the node id is BEP-42 compliant for its address.
+   */
+  get isSecure() {
+    return verifySecureNodeId(this.id, this.address.address);
+  }
+
   toNodeInfo() {
     /** @type {NodeInfo} */
     let ni = { id: this.id, ...this.address };
@@ -60,9 +79,22 @@ class Bucket {
     this.max = max;
     this.lastChanged = Date.now();
 
+    /**
+     * Spreads out the refreshes of buckets that changed at the same time,
+     * from -1 to 1.
+     * @type {number}
+     */
+    this.jitter = Math.random() * 2 - 1;
+
     /** @type {Array.<Node>} */
     this.contacts = [];
 
+    /**
+     * Recently seen nodes that didn't fit, the most recent last.
+     * @type {Array.<Node>}
+     */
+    this.replacements = [];
+
     /** @type {Bucket|null} */
     this.left = null;
 
@@ -73,7 +105,47 @@ class Bucket {
 
 
 /**
- * @typedef {{ K?: number }} RoutingOptions
+ * `secureIds` enforces BEP-42 node ids, either by preferring compliant nodes
+ * when evicting or by requiring them to be admitted at all.
+ * `replacements` bounds the candidates each bucket keeps for when one of its
+ * contacts goes bad, `K` by default.
+ * `maxPerIp` limits the nodes sharing an ip address in the table, 1 by
+ * default, and `maxPerSubnet` those sharing a /24 (IPv4) or /64 (IPv6) in a
+ * bucket, 2 by default. `Infinity` lifts a limit, and nodes on local networks
+ * are exempt.
+ * `addressChange` is what to do when a node in the table is seen at another
+ * address: 'keep' the known address and ignore the other, 'update' to the new
+ * address, or 'evict' the node.
+ * `relaxedSplitting` also splits full buckets that don't contain our id when
+ * a node that responded would be among the K closest to us, so that the
+ * table holds the nodes nearest to us even when they fall into a sibling
+ * bucket of ours. See: https://stackoverflow.com/a/32187456
+ * `pingRetryDelay` is how long to wait before pinging a questionable contact a
+ * second time, when it didn't answer the first ping.
+ * @typedef {'keep'|'update'|'evict'} AddressChangePolicy
+ * @typedef {NodeInfo & {
+ *   status: 'good'|'questionable'|'bad',
+ *   lastResponse: number|null,
+ *   lastReceivedQuery: number|null,
+ *   failedResponses: number
+ * }} ContactInfo
+ * @typedef {{
+ *   min: Buffer,
+ *   max: Buffer,
+ *   lastChanged: number,
+ *   contacts: ContactInfo[],
+ *   replacements: NodeInfo[]
+ * }} BucketInfo
+ * @typedef {{
+ *   K?: number,
+ *   relaxedSplitting?: boolean,
+ *   replacements?: number,
+ *   secureIds?: 'prefer'|'require',
+ *   maxPerIp?: number,
+ *   maxPerSubnet?: number,
+ *   addressChange?: AddressChangePolicy,
+ *   pingRetryDelay?: number
+ * }} RoutingOptions
  */
 
 
@@ -94,6 +166,49 @@ export class RoutingTable extends EventEmitter {
     /** @private */
     this._K = options.K || 8;
 
+    /** @private */
+    this._maxReplacements = options.replacements === undefined ?
+        this._K : options.replacements;
+
+    /** @private */
+    this._secureIds = options.secureIds;
+
+    /** @private */
+    this._relaxedSplitting = !!options.relaxedSplitting;
+
+    /** @private */
+    this._maxPerIp = options.maxPerIp === undefined ?
+        MAX_PER_IP : options.maxPerIp;
+
+    /** @private */
+    this._maxPerSubnet = options.maxPerSubnet === undefined ?
+        MAX_PER_SUBNET : options.maxPerSubnet;
+
+    /**
+     * @type {AddressChangePolicy}
+     * @private
+     */
+    this._addressChange = options.addressChange || 'keep';
+
+    /** @private */
+    this._pingRetryDelay = options.pingRetryDelay === undefined ?
+        PING_RETRY_DELAY : options.pingRetryDelay;
+
+    /**
+     * The number of nodes in the table per ip address.
+     * @type {Map<string, number>}
+     * @private
+     */
+    this._ipCounts = new Map();
+
+    /**
+     * The ids of the nodes being inserted, which may wait on pings, so a node
+     * seen again meanwhile isn't inserted twice.
+     * @type {Set<string>}
+     * @private
+     */
+    this._inserting = new Set();
+
     /**
      * @type {Bucket|null}
      * @private
@@ -106,12 +221,44 @@ export class RoutingTable extends EventEmitter {
      */
     this._nodeMap = {};
 
+    /**
+     * The nodes again, in a set so `questionableNodes` can keep its place.
+     * @type {Set<Node>}
+     * @private
+     */
+    this._nodes = new Set();
+
+    /**
+     * Where `questionableNodes` stopped, the iterator sees nodes added and
+     * removed since.
+     * @type {Iterator<Node>|null}
+     * @private
+     */
+    this._cursor = null;
+
     /** @private */
     this._isDisposed = false;
   }
 
   get length() { return Object.keys(this._nodeMap).length; }
 
+  /**
+   * The number of nodes that have recently responded, unlike `length` this
+   * drops when the nodes go quiet, e.g. after resuming from sleep.
+   */
+  get goodLength() {
+    return Object.values(this._nodeMap).filter((n) => n.isGood).length;
+  }
+
+  /**
+   * @param {number} time A time in ms since the epoch.
+   * @return {number} The number of nodes that have responded since.
+   */
+  respondedSince(time) {
+    return Object.values(this._nodeMap)
+        .filter((n) => n.lastResponse !== null && n.lastResponse >= time).length;
+  }
+
   /**
    * todo type the serialization format
    * @param {any[]} state
@@ -141,13 +288,26 @@ export class RoutingTable extends EventEmitter {
     }
   }
 
+  /**
+   * Describe the buckets of the table, e.g. to visualize it.
+   * @return {BucketInfo[]} The buckets, in order of their ranges.
+   */
+  buckets() {
+    /** @type {BucketInfo[]} */
+    const buckets = [];
+    let stack = this._root ? [this._root] : [];
+    let bucket;
+    while (bucket = stack.pop()) {
+      if (bucket.left && bucket.right) stack.push(bucket.right, bucket.left);
+      else buckets.push(describeBucket(bucket));
+    }
+    return buckets;
+  }
+
   getState() {
-    /** @type {[number, Node][]} */
     let all_nodes = Object.values(this._nodeMap)
-        .map((n) => [distance(this.localId, n.id), n]);
-
-    all_nodes.sort((a, b) => a[0] - b[0]);
-    return all_nodes.map(([d, n]) => {
+        .sort((a, b) => compareDistance(this.localId, a.id, b.id));
+    return all_nodes.map((n) => {
       return [
           n.id.toString('hex'),
           n.address.address, n.address.port, n.address.family,
@@ -164,40 +324,89 @@ export class RoutingTable extends EventEmitter {
     this.removeAllListeners();
     this._root = null;
     this._nodeMap = {};
+    this._nodes.clear();
+    this._cursor = null;
+    this._ipCounts.clear();
   }
 
   /**
+   * Walks the bucket tree outward from the bucket of the id. All the nodes on
+   * the id's side of a split share a longer prefix with it, so are closer than
+   * any on the other side, and only the buckets needed for `n` nodes are
+   * sorted.
    * @param {Buffer} id The id to search for.
    * @return {NodeInfo[]} The node info
    */
   closest(id, n=10) {
     id = (typeof id === 'string') ? Buffer.from(id, 'hex') : id;
-    // todo, naive sort all nodes -- can be optimized?
-    let allNodes = Object.values(this._nodeMap);
-    /** @type {[number, Node][]} */
-    let byDist = allNodes.map((node) => [distance(id, node.id), node]);
 
-    byDist.sort((a, b) => a[0] - b[0]);
-    return byDist.slice(0, n).map(([d, n]) => n.toNodeInfo());
+    /** @type {Node[]} */
+    let byDist = [];
+    let stack = this._root ? [this._root] : [];
+    let bucket;
+    while ((bucket = stack.pop()) && byDist.length < n) {
+      if (bucket.left && bucket.right) {
+        // the id may be outside the bucket, so compare the halves by distance
+        // rather than by range
+        const near = compareDistance(id, bucket.left.min, bucket.right.min) < 0 ?
+            bucket.left : bucket.right;
+        stack.push(near === bucket.left ? bucket.right : bucket.left, near);
+        continue;
+      }
+
+      byDist.push(...bucket.contacts.slice()
+          .sort((a, b) => compareDistance(id, a.id, b.id)));
+    }
+    return byDist.slice(0, n).map((node) => node.toNodeInfo());
   }
 
   /**
-   * Check the 'freshness' of each bucket, if any are older than the ttl timeout
-   * then fire a 'refresh' event with a random node id in the range.
+   * Take the bucket most overdue a refresh, it counts as changed from now on.
+   * A bucket is due `ttl` after it last changed, give or take `jitter` (a
+   * fraction of the ttl) so that buckets that changed together are refreshed
+   * apart.
+   * @param {number=} ttl How long after a change a bucket is refreshed.
+   * @param {number=} jitter The fraction of the ttl to spread refreshes by.
+   * @return {Buffer|null} A random node id in the range of the bucket, if any
+   *     is due.
    */
-  refresh(ttl=GOODNESS_TIMEOUT) {
-    const now = Date.now();
-    let queue = [this._root];
-    let bucket;
-    while (bucket = queue.shift()) {
-      if (bucket.left && bucket.right) {
-        queue.push(bucket.left, bucket.right);
-      }
-      else if (bucket.lastChanged < now - ttl) {
-        // needs refresh
-        let rid = rand_on_range(bucket.min, bucket.max);
-        this.emit('refresh', rid);
+  nextRefresh(ttl=GOODNESS_TIMEOUT, jitter=0) {
+    const due = this._overdueBucket(ttl, jitter);
+    if (!due) return null;
+
+    due.lastChanged = Date.now();
+    due.jitter = Math.random() * 2 - 1;
+    return rand_on_range(due.min, due.max);
+  }
+
+  /**
+   * Whether `nextRefresh` would return a bucket, without taking it.
+   * @param {number=} ttl How long after a change a bucket is refreshed.
+   * @param {number=} jitter The fraction of the ttl to spread refreshes by.
+   * @return {boolean}
+   */
+  isRefreshDue(ttl=GOODNESS_TIMEOUT, jitter=0) {
+    return !!this._overdueBucket(ttl, jitter);
+  }
+
+  /**
+   * The nodes that are neither good nor bad, i.e. haven't been heard from in a
+   * while and should be pinged before they are needed. The nodes are walked
+   * round robin, each walk picking up where the last one stopped, so a caller
+   * taking a few at a time gets round to all of them without sorting the
+   * table every time.
+   * @return {Generator<NodeInfo>} The nodes, from at most one lap of the table.
+   */
+  *questionableNodes() {
+    for (let i = this._nodes.size; i > 0; i--) {
+      let next = this._cursor && this._cursor.next();
+      if (!next || next.done) {
+        this._cursor = this._nodes.values();
+        next = this._cursor.next();
+        if (next.done) return;
       }
+      const node = next.value;
+      if (!node.isGood && !node.isBad) yield node.toNodeInfo();
     }
   }
 
@@ -212,7 +421,7 @@ export class RoutingTable extends EventEmitter {
     let node = this._nodeMap[idStr];
     if (node) {
       // node is already in the table, just update the last query time
-      // todo compare ip and port
+      if (!this._checkAddress(node, nodeInfo)) return;
       node.lastReceivedQuery = now;
       debug('Updating node "%s" last query time', idStr);
       return;
@@ -236,7 +445,7 @@ export class RoutingTable extends EventEmitter {
     let node = this._nodeMap[idStr];
     if (node) {
       // node is already in the table, just update the last response time
-      // todo compare ip and port
+      if (!this._checkAddress(node, nodeInfo)) return;
       node.lastResponse = now;
       node.failedResponses = 0;
       debug('Updating node "%s" last response time', idStr);
@@ -257,52 +466,175 @@ export class RoutingTable extends EventEmitter {
     if (this._isDisposed) return;
 
     let node = this._nodeMap[nodeInfo.id.toString('hex')];
-    if (!node) return;
+    if (!node || !isSameAddress(node.address, nodeInfo)) return;
     node.failedResponses += 1;
+    if (node.isBad) this._promoteReplacement(node);
+  }
+
+  /**
+   * Apply the address change policy when a node in the table is seen at
+   * another address, emitting an 'address-change' event.
+   * @param {Node} node The node in the table.
+   * @param {NodeInfo} nodeInfo The node as just seen.
+   * @return {boolean} Whether it is still the same node, at its new address.
+   */
+  _checkAddress(node, nodeInfo) {
+    if (isSameAddress(node.address, nodeInfo)) return true;
+
+    const idStr = node.id.toString('hex');
+    debug('Node "%s" moved from %s:%s to %s:%s', idStr,
+        node.address.address, node.address.port, nodeInfo.address, nodeInfo.port);
+    this.emit('address-change', node.toNodeInfo(), nodeInfo);
+
+    if (this._addressChange === 'evict') {
+      this._promoteReplacement(node);
+      const bucket = this._bucketOf(node);
+      if (bucket) this._evict(bucket, node);
+      return false;
+    }
+    if (this._addressChange === 'update') {
+      const bucket = this._bucketOf(node);
+      const moved = new Node(nodeInfo);
+      if (!bucket || !this._canAdmit(bucket, moved, node)) return false;
+
+      this._countIp(node.address.address, -1);
+      this._countIp(moved.address.address, 1);
+      node.address = moved.address;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Whether the ip address and subnet limits allow a node into a bucket.
+   * @param {Bucket} bucket The bucket.
+   * @param {Node} node The node.
+   * @param {Node=} opt_ignore A contact not to count, i.e. the node itself
+   *     when it changes address.
+   * @return {boolean}
+   */
+  _canAdmit(bucket, node, opt_ignore) {
+    const ip = node.address.address;
+    if (isExemptAddress(ip)) return true;
+
+    let sameIp = this._ipCounts.get(ip) || 0;
+    if (opt_ignore && opt_ignore.address.address === ip) sameIp--;
+    if (sameIp >= this._maxPerIp) {
+      debug('Rejecting node "%s", too many nodes at %s',
+          node.id.toString('hex'), ip);
+      return false;
+    }
+
+    const subnet = subnetOf(ip);
+    const sameSubnet = bucket.contacts.filter((n) =>
+        n !== opt_ignore && subnetOf(n.address.address) === subnet).length;
+    if (sameSubnet >= this._maxPerSubnet) {
+      debug('Rejecting node "%s", too many nodes in the subnet of %s',
+          node.id.toString('hex'), ip);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * @param {string} ip The ip address.
+   * @param {number} delta The change in nodes at the address.
+   */
+  _countIp(ip, delta) {
+    const count = (this._ipCounts.get(ip) || 0) + delta;
+    if (count > 0) this._ipCounts.set(ip, count);
+    else this._ipCounts.delete(ip);
+  }
+
+  /**
+   * Add a contact to a bucket with space.
+   * @param {Bucket} bucket The bucket.
+   * @param {Node} node The node.
+   */
+  _addContact(bucket, node) {
+    bucket.contacts.push(node);
+    this._nodeMap[node.id.toString('hex')] = node;
+    this._nodes.add(node);
+    this._countIp(node.address.address, 1);
+    bucket.lastChanged = Date.now();
+    this.emit('node-added', node.toNodeInfo());
   }
 
   /**
    * @param {Node} node The node to insert.
-   * @param {boolean=} relaxed, whether to use relaxed mode... todo
+   * @param {boolean=} relaxed Whether the node may split a bucket that
+   *     doesn't contain our id, only nodes that responded are trusted to.
+   * @return {Promise<void>}
    */
   async _insertNode(node, relaxed) {
-    // todo protect against rogue actor flooding ids using ip address checks
+    const idStr = node.id.toString('hex');
+    if (this._inserting.has(idStr)) return;
+    this._inserting.add(idStr);
+    try {
+      await this._placeNode(node, relaxed);
+    } finally {
+      this._inserting.delete(idStr);
+    }
+  }
+
+  /**
+   * Put a node in its bucket, splitting the bucket or evicting a contact
+   * that doesn't respond if need be.
+   * @param {Node} node The node to insert.
+   * @param {boolean=} relaxed See `_insertNode`.
+   * @return {Promise<void>}
+   */
+  async _placeNode(node, relaxed) {
     if (this._isDisposed || this._root === null) return;
+    if (this._secureIds === 'require' && !node.isSecure) {
+      debug('Rejecting node "%s", id is not BEP-42 compliant',
+          node.id.toString('hex'));
+      return;
+    }
     let bucket = this._root;
     while (bucket) {
-      // if the bucket has space, just add it and be done
-      if (bucket.contacts && bucket.contacts.length < this._K) {
-        bucket.contacts.push(node);
-        bucket.lastChanged = Date.now();
-        this._nodeMap[node.id.toString('hex')] = node;
-        return;
-      }
-
       // bucket is already split, walk
       if (bucket.left && bucket.right) {
-        bucket = (node.id <= bucket.left.max) ? bucket.left : bucket.right;
+        bucket = childFor(bucket, node.id);
         continue;
       }
 
-      // split the bucket if it contains the localId:
-      if (bucket.min <= this.localId && this.localId < bucket.max) {
-        if (this._split(bucket, !!relaxed)) {
+      // too many nodes from the same address or subnet, e.g. an eclipse attack
+      if (!this._canAdmit(bucket, node)) return;
+
+      // if the bucket has space, just add it and be done
+      if (bucket.contacts.length < this._K) {
+        return this._addContact(bucket, node);
+      }
+
+      // split the bucket if it contains the localId, or when relaxed if the
+      // node is among the closest to us
+      if (inRange(bucket, this.localId) ||
+          (relaxed && this._relaxedSplitting && this._isAmongClosest(node))) {
+        if (this._split(bucket)) {
           if (bucket.left === null || bucket.right === null)
             throw new Error('Bucket could not be split.');
-          bucket = (node.id < bucket.left.max) ? bucket.left : bucket.right;
+          bucket = childFor(bucket, node.id);
           continue;
         }
       }
 
-      /** @param {Node} badnode */
+      /**
+       * @param {Node} badnode
+       * @return {Promise<void>|void}
+       */
       const replace = (badnode) => {
+        // the bucket was split, or the node evicted, while pinging
+        if (!bucket.contacts.includes(badnode)) return this._placeNode(node, relaxed);
+        // or the node got in, or other nodes from its address did
+        if (this._nodeMap[node.id.toString('hex')] ||
+            !this._canAdmit(bucket, node, badnode)) return;
         this._evict(bucket, badnode);
-        bucket.contacts.push(node);
-        this._nodeMap[node.id.toString('hex')] = node;
-        bucket.lastChanged = Date.now();
+        this._addContact(bucket, node);
       };
 
       // if can't split, start eviction proceedings
+      /** @type {Node[]} */
       let unknown = [];
       for (let checknode of bucket.contacts) {
         if (checknode.isBad) return replace(checknode);
@@ -311,12 +643,21 @@ export class RoutingTable extends EventEmitter {
         }
       }
 
-      // 1. if all nodes in this bucket are good, then just discard
-      if (unknown.length === 0) {
-        return;
-        // const nodetoevict = this.emit('bucketfull', node, bucket.contacts);
-        // if (!nodetoevict) return;
+      // BEP-42 compliant nodes challenge the questionable non-compliant ones
+      // first, and non-compliant nodes can only push out their own kind. Either
+      // way a contact is only evicted once it fails its pings.
+      if (this._secureIds === 'prefer') {
+        if (node.isSecure) {
+          const insecure = unknown.filter((n) => !n.isSecure);
+          if (insecure.length > 0) unknown = insecure;
+        } else {
+          unknown = unknown.filter((n) => !n.isSecure);
+        }
+      }
 
+      // 1. if all nodes in this bucket are good, keep it as a replacement
+      if (unknown.length === 0) {
+        return this._addReplacement(bucket, node);
       }
 
       // 2. otherwise, pick the least recently seen node and ping it
@@ -326,23 +667,112 @@ export class RoutingTable extends EventEmitter {
 
       // todo bulk ping?
       while (checknode = unknown.shift()) {
+        // a questionable node gets a second chance a little later, a single
+        // lost packet shouldn't cost it its place
         let responded = await this._ping(checknode);
+        if (!responded && !this._isDisposed) {
+          await new Promise((resolve) =>
+              setTimeout(resolve, this._pingRetryDelay).unref());
+          responded = checknode.isGood ||
+              (!this._isDisposed && await this._ping(checknode));
+        }
         if (this._isDisposed) return;
 
         if (responded) {
           bucket.lastChanged = Date.now();
           continue;
         } else {
-          // todo spec says to ping again later
           // evict this node and insert the new one
           return replace(checknode);
         }
       }
 
-      // all nodes checked responded
-      // discard
-      break;
+      // all nodes checked responded, keep it as a replacement
+      return this._addReplacement(bucket, node);
+    }
+  }
+
+  /**
+   * Keep a node that didn't fit into a full bucket, to replace a contact that
+   * goes bad. Only the most recently seen candidates are kept.
+   * @param {Bucket} bucket The full bucket.
+   * @param {Node} node The candidate node.
+   */
+  _addReplacement(bucket, node) {
+    const idStr = node.id.toString('hex');
+    const index = bucket.replacements
+        .findIndex((n) => n.id.toString('hex') === idStr);
+    if (index !== -1) bucket.replacements.splice(index, 1);
+
+    bucket.replacements.push(node);
+    if (bucket.replacements.length > this._maxReplacements) {
+      bucket.replacements.shift();
+    }
+    debug('Keeping node "%s" as a replacement', idStr);
+  }
+
+  /**
+   * Replace a bad contact with the most recently seen replacement, if any.
+   * @param {Node} node The bad contact.
+   */
+  _promoteReplacement(node) {
+    const bucket = this._bucketOf(node);
+    if (!bucket) return;
+
+    // the most recent candidate that is still within the address limits
+    for (let i = bucket.replacements.length - 1; i >= 0; i--) {
+      const replacement = bucket.replacements[i];
+      if (this._nodeMap[replacement.id.toString('hex')] ||
+          !this._canAdmit(bucket, replacement, node)) continue;
+
+      debug('Replacing bad node "%s" with "%s"',
+          node.id.toString('hex'), replacement.id.toString('hex'));
+      bucket.replacements.splice(i, 1);
+      this._evict(bucket, node);
+      this._addContact(bucket, replacement);
+      return;
+    }
+  }
+
+  /**
+   * @param {number} ttl How long after a change a bucket is refreshed.
+   * @param {number} jitter The fraction of the ttl to spread refreshes by.
+   * @return {Bucket|null} The bucket most overdue a refresh, if any is due.
+   */
+  _overdueBucket(ttl, jitter) {
+    const now = Date.now();
+    /** @type {Bucket|null} */
+    let due = null;
+    let overdue = 0;
+
+    let queue = this._root ? [this._root] : [];
+    let bucket;
+    while (bucket = queue.shift()) {
+      if (bucket.left && bucket.right) {
+        queue.push(bucket.left, bucket.right);
+        continue;
+      }
+      const late = now - (bucket.lastChanged + ttl * (1 + jitter * bucket.jitter));
+      if (late >= overdue) {
+        due = bucket;
+        overdue = late;
+      }
+    }
+    return due;
+  }
+
+  /**
+   * @param {Node} node A node in the table.
+   * @return {Bucket|null} The bucket it is a contact of.
+   */
+  _bucketOf(node) {
+    let queue = [this._root];
+    let bucket;
+    while (bucket = queue.shift()) {
+      if (bucket.left && bucket.right) queue.push(bucket.left, bucket.right);
+      else if (bucket.contacts.includes(node)) return bucket;
     }
+    return null;
   }
 
   /**
@@ -351,12 +781,18 @@ export class RoutingTable extends EventEmitter {
    */
   _evict(bucket, node) {
     delete this._nodeMap[node.id.toString('hex')];
+    this._nodes.delete(node);
+    this._countIp(node.address.address, -1);
     bucket.contacts.splice(bucket.contacts.indexOf(node), 1);
+    this.emit('node-removed', node.toNodeInfo());
   }
 
   /**
-   * Wrapper around the ping event so it can be used as a promise.
+   * Wrapper around the ping event so it can be used as a promise. Whether the
+   * node answered is left to the listener to record, through `recordResponse`
+   * and `recordNoResponse`, as the DHT does for all its queries.
    * @param {Node} node The node to ping.
+   * @return {Promise<boolean>} Whether it answered.
    */
   async _ping(node) {
     // wrap the ping event in a promise
@@ -370,26 +806,27 @@ export class RoutingTable extends EventEmitter {
       this.emit('ping', node.toNodeInfo(), (/** @type {boolean} */ responded) => {
         if (failed) return;  // already failed
         clearTimeout(timer);
-
-        // todo is this redundant? if the client already sets it?
-        if (responded) {
-          node.lastResponse = Date.now();
-          node.failedResponses = 0;
-        } else {
-          node.failedResponses += 1;
-        }
         resolve(responded);
       });
     });
   }
 
+  /**
+   * @param {Node} node A node that isn't in the table.
+   * @return {boolean} Whether it is closer to us than the K-th closest node.
+   */
+  _isAmongClosest(node) {
+    const closest = this.closest(this.localId, this._K);
+    if (closest.length < this._K) return true;
+    return compareDistance(this.localId, node.id,
+        closest[closest.length - 1].id) < 0;
+  }
+
   /**
    * Split a bucket.
    * @param {Bucket} bucket The bucket to split.
-   * @param {boolean} relaxed Whether to use relaxed mode... todo
    */
-  _split(bucket, relaxed) {
-    // todo relaxed splitting per https://stackoverflow.com/a/32187456
+  _split(bucket) {
     let c = mid(bucket.min, bucket.max);
     if (c.equals(bucket.min) || c.equals(bucket.max)) return false;
 
@@ -397,31 +834,116 @@ export class RoutingTable extends EventEmitter {
     bucket.right = new Bucket(c, bucket.max);
 
     for (let node of bucket.contacts) {
-      let target = (node.id < c) ? bucket.left : bucket.right;
+      let target = childFor(bucket, node.id);
       target.contacts.push(node);
     }
+    for (let node of bucket.replacements) {
+      let target = childFor(bucket, node.id);
+      target.replacements.push(node);
+    }
     bucket.contacts = [];
+    bucket.replacements = [];
+    this.emit('bucket-split', describeBucket(bucket.left), describeBucket(bucket.right));
     return true;
   }
 }
 
 
+/**
+ * @param {Bucket} bucket A bucket.
+ * @return {BucketInfo} A snapshot of the bucket.
+ */
+function describeBucket(bucket) {
+  return {
+    min: bucket.min,
+    max: bucket.max,
+    lastChanged: bucket.lastChanged,
+    contacts: bucket.contacts.map((n) => ({
+      ...n.toNodeInfo(),
+      status: n.isBad ? 'bad' : (n.isGood ? 'good' : 'questionable'),
+      lastResponse: n.lastResponse,
+      lastReceivedQuery: n.lastReceivedQuery,
+      failedResponses: n.failedResponses
+    })),
+    replacements: bucket.replacements.map((n) => n.toNodeInfo())
+  };
+}
+
+
+/**
+ * @param {PeerInfo} a An address.
+ * @param {PeerInfo} b Another address.
+ * @return {boolean} Whether they are the same ip address and port.
+ */
+function isSameAddress(a, b) {
+  return a.address === b.address && a.port === b.port;
+}
+
+
+/**
+ * @param {string} ip The ip address.
+ * @return {string} The /24 of an IPv4 address, or /64 of an IPv6 address.
+ */
+function subnetOf(ip) {
+  const addr = encodeAddress(ip);
+  return addr.subarray(0, addr.length === 4 ? 3 : 8).toString('hex');
+}
+
+
 /**
  * Compute the node distance (XOR) between two node ids.
+ * The distance is exact, all 160 bits are significant, so it is returned as a
+ * `bigint`. To rank nodes use `compareDistance`, which doesn't allocate.
  * @param {Buffer} firstId The first id.
  * @param {Buffer} secondId The second id.
- * @return {number} The 'distance' metric between the two nodes.
+ * @return {bigint} The 'distance' metric between the two nodes.
  */
 export function distance(firstId, secondId) {
-  let distance = 0
-  let i = 0
-  const min = Math.min(firstId.length, secondId.length)
-  const max = Math.max(firstId.length, secondId.length)
-  for (; i < min; ++i) {
-    distance = distance * 256 + (firstId[i] ^ secondId[i])
-  }
-  for (; i < max; ++i) distance = distance * 256 + 255
-  return distance
+  const min = Math.min(firstId.length, secondId.length);
+  const max = Math.max(firstId.length, secondId.length);
+  if (max === 0) return 0n;
+
+  // any missing bytes of the shorter id are treated as maximally distant
+  const xor = Buffer.alloc(max, 0xff);
+  for (let i = 0; i < min; ++i) xor[i] = firstId[i] ^ secondId[i];
+  return BigInt('0x' + xor.toString('hex'));
+}
+
+
+/**
+ * Comparator for sorting ids by their distance to a target, closest first.
+ * Compares the XOR distances byte by byte, as `distance` would order them.
+ * @param {Buffer} target The target id.
+ * @param {Buffer} a The first id.
+ * @param {Buffer} b The second id.
+ * @return {number}
+ */
+export function compareDistance(target, a, b) {
+  const max = Math.max(target.length, a.length, b.length);
+  for (let i = 0; i < max; ++i) {
+    const da = i < a.length && i < target.length ? a[i] ^ target[i] : 0xff;
+    const db = i < b.length && i < target.length ? b[i] ^ target[i] : 0xff;
+    if (da !== db) return da < db ? -1 : 1;
+  }
+  return 0;
+}
+
+
+/**
+ * A random id sharing the first `depth` bits with `localId`, i.e. one that
+ * falls into the bucket `depth` splits away from it.
+ * @param {Buffer} localId The id of the table.
+ * @param {number} depth The number of leading bits shared.
+ * @return {Buffer} The id.
+ */
+export function idAtDepth(localId, depth) {
+  const id = crypto.randomBytes(20);
+  for (let i = 0; i <= depth; i++) {
+    const byte = i >> 3, bit = 0x80 >> (i & 7);
+    const same = (i < depth) === !!(localId[byte] & bit);
+    id[byte] = same ? (id[byte] | bit) : (id[byte] & ~bit);
+  }
+  return id;
 }
 
 
@@ -432,8 +954,31 @@ export function distance(firstId, secondId) {
  * @return {Buffer} The middle point between the two ids.
  */
 function mid(min, max) {
-  return Buffer.from(
-      max.map((d, i) => (d+1-min[i])/2).map((d, i) => d + min[i]));
+  const lo = BigInt('0x' + min.toString('hex'));
+  const hi = BigInt('0x' + max.toString('hex'));
+  const c = lo + (hi - lo + 1n) / 2n;
+  return Buffer.from(c.toString(16).padStart(min.length * 2, '0'), 'hex');
+}
+
+
+/**
+ * @param {Bucket} bucket A split bucket.
+ * @param {Buffer} id The node id.
+ * @return {Bucket} The half of the bucket the id falls into.
+ */
+function childFor(bucket, id) {
+  if (!bucket.left || !bucket.right) throw new Error('Bucket is not split.');
+  return Buffer.compare(id, bucket.left.max) < 0 ? bucket.left : bucket.right;
+}
+
+
+/**
+ * @param {Bucket} bucket The bucket.
+ * @param {Buffer} id The node id.
+ * @return {boolean} Whether the id falls into the bucket's range.
+ */
+function inRange(bucket, id) {
+  return Buffer.compare(bucket.min, id) <= 0 && Buffer.compare(id, bucket.max) < 0;
 }
 
 
@@ -443,8 +988,10 @@ function mid(min, max) {
  * @param {Buffer} max The maximum node id.
  */
 function rand_on_range(min, max) {
-  return Buffer.from(max
-      .map((d, i) => Math.floor((d+1-min[i]) * Math.random()))
-      .map((d, i) => d + min[i]));
+  const lo = BigInt('0x' + min.toString('hex'));
+  const hi = BigInt('0x' + max.toString('hex'));
+  const r = BigInt(Math.floor(Math.random() * 2 ** 32));
+  const id = lo + (hi - lo) * r / 2n ** 32n;
+  return Buffer.from(id.toString(16).padStart(min.length * 2, '0'), 'hex');
 }
 
@@ -1,7 +1,17 @@
 import crc32c from "sse4_crc32";
+import net from 'net';
+import { encodeAddress } from './util.js';
 
 
 
+/**
+ * The masks applied to the IPv4 and IPv6 addresses before hashing.
+ * @const
+ */
+const V4_MASK = [0x03, 0x0f, 0x3f, 0xff];
+const V6_MASK = [0x01, 0x03, 0x07, 0x0f, 0x1f, 0x3f, 0x7f, 0xff];
+
+
 /**
  * Calculate the secure node id given the external ip address.
  * See: http://www.bittorrent.org/beps/bep_0042.html
@@ -12,14 +22,9 @@ import crc32c from "sse4_crc32";
 export function computeSecureNodeId(ipaddr, opt_rand) {
   const rand = () => Math.floor(Math.random() * 255);
 
-  // todo support ipv6
   const id = Buffer.alloc(20);
-  const buf = Buffer.alloc(4);
-  const ip = ip2int(ipaddr);
   const r = opt_rand === undefined ? rand() : opt_rand;
-  buf.writeUInt32BE(((ip & 0x030f3fff) | (r << 29)) >>> 0);
-  
-  const c = crc32c.calculate(buf, 0);
+  const c = secureIdCrc(ipaddr, r);
   id[0] = (c >> 24) & 0xff;
   id[1] = (c >> 16) & 0xff;
   id[2] = ((c >> 8) & 0xf8) | (rand() & 0x7);
@@ -34,10 +39,62 @@ export function computeSecureNodeId(ipaddr, opt_rand) {
 
 
 /**
- * Convert a string representation of an IP address to the uint32.
- * @param {string} ip The IP address to convert.
- * @return {number} The resulting UInt32.
+ * Verify that a node id is valid for the ip address it was seen from, i.e.
+ * that the first 21 bits match the secure node id. Nodes on local networks
+ * are exempt and always verify.
+ * See: http://www.bittorrent.org/beps/bep_0042.html
+ * @param {!Buffer} id The node id to verify.
+ * @param {!string} ipaddr The ip address the node was seen from.
+ * @return {boolean} Whether the node id is compliant.
+ */
+export function verifySecureNodeId(id, ipaddr) {
+  if (isExemptAddress(ipaddr)) return true;
+  if (!net.isIP(ipaddr) || id.length !== 20) return false;
+
+  const c = secureIdCrc(ipaddr, id[19]);
+  return id[0] === ((c >> 24) & 0xff) &&
+      id[1] === ((c >> 16) & 0xff) &&
+      (id[2] & 0xf8) === ((c >> 8) & 0xf8);
+}
+
+
+/**
+ * Whether the address is on a local network, and so exempt from BEP-42.
+ * BEP-42 only lists IPv4 ranges, the IPv6 loopback, link-local and unique
+ * local ranges are treated the same way.
+ * @param {string} ipaddr The ip address.
+ * @return {boolean}
+ */
+export function isExemptAddress(ipaddr) {
+  if (net.isIPv4(ipaddr)) {
+    const [a, b] = encodeAddress(ipaddr);
+    return a === 10 || a === 127 ||
+        (a === 172 && (b & 0xf0) === 16) ||
+        (a === 192 && b === 168) ||
+        (a === 169 && b === 254);
+  }
+  if (net.isIPv6(ipaddr)) {
+    const ip = encodeAddress(ipaddr);
+    const isLoopback = ip.subarray(0, 15).every((b) => b === 0) && ip[15] === 1;
+    return isLoopback ||
+        (ip[0] === 0xfe && (ip[1] & 0xc0) === 0x80) ||
+        (ip[0] & 0xfe) === 0xfc;
+  }
+  return false;
+}
+
+
+/**
+ * The crc32c of the masked ip address and random parameter, which the first
+ * 21 bits of the secure node id are taken from.
+ * @param {string} ipaddr The ip address.
+ * @param {number} r The random parameter, only the low 3 bits are used.
+ * @return {number} The crc32c.
  */
-function ip2int(ip) {
-    return ip.split('.').reduce(function(ipInt, octet) { return (ipInt<<8) + parseInt(octet, 10)}, 0) >>> 0;
+function secureIdCrc(ipaddr, r) {
+  const ip = encodeAddress(ipaddr);
+  const mask = ip.length === 4 ? V4_MASK : V6_MASK;
+  const buf = Buffer.from(mask.map((m, i) => ip[i] & m));
+  buf[0] |= (r & 0x7) << 5;
+  return crc32c.calculate(buf, 0);
 }
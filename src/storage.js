@@ -2,18 +2,32 @@ import ed25519 from 'ed25519-supercop';
 import bencode from 'bencode';
 
 import TokenStore from './token-store.js';
-import { distance } from './routing.js';
-import { sha1, PQueue } from './util.js';
+import { KRPCError, ErrorCode } from './krpc.js';
+import { sha1, operationSignal, throwIfAborted } from './util.js';
 
 import debugLogger from 'debug';
 const debug = debugLogger('dht:storage');
 
 
+/** @define {number} */
+const MAX_VALUE_SIZE = 1000;  // bencoded bytes
+
+/** @define {number} */
+const MAX_SALT_SIZE = 64;
+
+
 /**
- * @typedef {{ k?: Buffer|string, salt?: Buffer|string }} DHTGetOptions
- * @typedef {{ id?: Buffer, token?: Buffer|((n: NodeInfo)=>Buffer|undefined), v?: Buffer, k?: Buffer, sig?: Buffer, seq?: number, salt?: Buffer }} DHTStoreRecord
+ * @typedef {{
+ *    k?: Buffer|string, salt?: Buffer|string, seq?: number, includeStale?: boolean,
+ *    signal?: AbortSignal, timeout?: number
+ * }} DHTGetOptions
+ * @typedef {{
+ *    salt?: Buffer|string, cas?: number, retries?: number,
+ *    signal?: AbortSignal, timeout?: number
+ * }} DHTPutOptions
+ * @typedef {{ id?: Buffer, token?: Buffer|((n: NodeInfo)=>Buffer|undefined), v?: Buffer, k?: Buffer, sig?: Buffer, seq?: number, salt?: Buffer, cas?: number }} DHTStoreRecord
  * @typedef {function(function(DHTStoreRecord, Buffer): void, DHTStoreRecord=): DHTStoreRecord} DHTSignatureCallback
- * @typedef { { id: Buffer, target: Buffer } } GetRequest 
+ * @typedef { { id: Buffer, target: Buffer, seq?: number, want?: Buffer[] } } GetRequest
  * @typedef {any} GetResponse todo
  * @typedef {{
  *    id: Buffer, k: Buffer, salt?: Buffer, sig: Buffer, 
@@ -36,6 +50,7 @@ export default class DHTStorage {
    */ 
   constructor(dht) {
     this.provides = ['get', 'put'];
+    this.queries = ['get', 'put'];
 
     /**
      * @private
@@ -52,7 +67,7 @@ export default class DHTStorage {
      * @type {!TokenStore}
      * @private
      */
-    this.store_ = new TokenStore();
+    this.store_ = new TokenStore(dht.tokenOptions_);
   }
 
 
@@ -66,12 +81,19 @@ export default class DHTStorage {
 
   /**
    * Lookup a value on the DHT.
+   * Mutable values resolve to the highest sequence number found on the K
+   * closest nodes. If `seq` is given, only a value newer than it is returned,
+   * and with `includeStale` the value has a `stale` list of the nodes that
+   * hold an older copy.
    * @param {Buffer|string|DHTGetOptions} args Either the SHA1 target
    *     hash of the value or the options dictionary.
+   * @param {OperationOptions=} opt_options The abort signal and deadline, if
+   *     not given in `args`.
    */
-  async get(args) {
+  async get(args, opt_options) {
     // decode the arguments
     let opts = Buffer.isBuffer(args) || typeof args === 'string' ? null : args;
+    const signal = operationSignal(opt_options || opts || undefined);
     let salt = !(opts && 'salt' in opts) ? undefined :
           (typeof opts.salt === 'string' ? Buffer.from(opts.salt) : opts.salt);
     let k = !(opts && 'k' in opts) ? undefined :
@@ -87,6 +109,9 @@ export default class DHTStorage {
       target = sha1(salt ? Buffer.concat([k, salt]) : k);
     }
 
+    // mutable values can be updated, so the first one found isn't enough
+    if (opts && k) return this.getMutable_(target, salt, opts, signal);
+
     // first check if we have it locally
     const stored = this.store_.get(target);
     if (stored) {
@@ -94,12 +119,12 @@ export default class DHTStorage {
       return stored;
     }
 
-    // todo opts.seq can be sent in the query
     debug('Asking network for value for \'%s\'.', target.toString('hex'));
-    const res = await this.dht_.closest_(target, 'get', {
+    const { value: res } = await this.dht_.closest_(target, 'get', {
       'target': target,
       'id': this.dht_.id
-    }, GetResponseValidator(target, salt));
+    }, GetResponseValidator(target, salt), signal);
+    throwIfAborted(signal);
 
     if (res) {
       debug('Found %s value for \'%s\'.',
@@ -112,25 +137,110 @@ export default class DHTStorage {
 
 
   /**
+   * Lookup the newest copy of a mutable value, asking all the K closest nodes.
+   * @param {Buffer} target The target hash.
+   * @param {Buffer|undefined} salt The salt, if any.
+   * @param {DHTGetOptions} opts The get options.
+   * @param {AbortSignal=} opt_signal Aborts the lookup.
+   * @private
+   */
+  async getMutable_(target, salt, opts, opt_signal) {
+    const validate = GetResponseValidator(target, salt);
+    const isNewer = (/** @type {DHTStoreRecord|undefined} */ r) =>
+        r && (opts.seq === undefined || (r.seq || 0) > opts.seq);
+
+    // start with our own copy, if we have one
+    /** @type {DHTStoreRecord|undefined} */
+    let best = this.store_.get(target);
+    if (!isNewer(best)) best = undefined;
+
+    // the sequence number each responding node holds
+    /** @type {Array<[NodeInfo, number]>} */
+    const holders = [];
+
+    debug('Asking network for newest value for \'%s\'.', target.toString('hex'));
+    /** @type {any} */
+    const query = { 'target': target, 'id': this.dht_.id };
+    if (opts.seq !== undefined) query['seq'] = opts.seq;
+    await this.dht_.closest_(target, 'get', query, (r, node) => {
+      // nodes only send back the sequence number if it isn't above ours
+      const record = validate(r);
+      const seq = record ? (record.seq || 0) : r.seq;
+      if (typeof seq === 'number') holders.push([node, seq]);
+
+      if (record && isNewer(record) &&
+          (!best || (record.seq || 0) > (best.seq || 0))) {
+        best = record;
+      }
+    }, opt_signal);
+    throwIfAborted(opt_signal);
+
+    if (!best) {
+      debug('No newer value found for \'%s\'.', target.toString('hex'));
+      return undefined;
+    }
+
+    const seq = best.seq || 0;
+    debug('Found mutable value for \'%s\' with seq %s.',
+        target.toString('hex'), seq);
+    if (!opts.includeStale) return best;
+    return {
+      ...best,
+      stale: holders.filter(([n, s]) => s < seq).map(([n]) => n)
+    };
+  }
+
+
+  /**
+   * Put a value on the DHT.
+   * Mutable puts are read-modify-write: the signature callback is given the
+   * newest value found on the network as `prev`, and if no `seq` is signed it
+   * is set to one above `prev.seq`.
+   * Rejects if none of the storing nodes accepted the put, with their
+   * `KRPCError` if they gave one, e.g. 302 if they hold a higher sequence
+   * number or 301 if the `cas` didn't match, otherwise e.g. with the
+   * timeout. A 302 is also raised, without writing, if the network already
+   * holds a higher sequence number than the signed one, unless `retries` is
+   * set in which case the value is re-read and signed again.
    * @param {Buffer|string} key_or_v Either the value (if immutable) or public key
    *     if mutable.
-   * @param {(DHTSignatureCallback|string|Buffer)=} opt_salt Optional salt for
-   *     mutable puts, or if no salt the signature callback.
+   * @param {(DHTSignatureCallback|string|Buffer|DHTPutOptions)=} opt_salt
+   *     Optional salt, or options, for mutable puts, or if neither the
+   *     signature callback. Immutable puts only take the `signal` and
+   *     `timeout` options.
    * @param {DHTSignatureCallback=} cb If using salt, the signature callback.
    */
   async put(key_or_v, opt_salt, cb) {
+    const isOptions = opt_salt && !Buffer.isBuffer(opt_salt) &&
+        typeof opt_salt === 'object';
+
     // if immutable
-    if (opt_salt === undefined) return this.putImmutable_(key_or_v);
+    if (opt_salt === undefined || (isOptions && cb === undefined)) {
+      return this.putImmutable_(key_or_v,
+          operationSignal(/** @type {DHTPutOptions|undefined} */ (opt_salt)));
+    }
     if (typeof key_or_v === 'string') throw new Error('Invalid public key');
     if (typeof opt_salt === 'function') {
       cb = opt_salt;
       opt_salt = undefined;
     }
+
+    /** @type {number|undefined} */
+    let cas = undefined;
+    let retries = 0;
+    /** @type {AbortSignal|undefined} */
+    let signal = undefined;
+    if (opt_salt && !Buffer.isBuffer(opt_salt) && typeof opt_salt === 'object') {
+      cas = opt_salt.cas;
+      retries = opt_salt.retries || 0;
+      signal = operationSignal(opt_salt);
+      opt_salt = opt_salt.salt;
+    }
     if (typeof opt_salt === 'string') {
       opt_salt = Buffer.from(opt_salt);
     }
 
-    if (opt_salt && opt_salt.length > 64) throw new Error('Salt must be less than 64 bytes.');
+    if (opt_salt && opt_salt.length > MAX_SALT_SIZE) throw new Error('Salt must be less than 64 bytes.');
     if (key_or_v.length !== 32) throw new Error('ed25519 public key must be 32 bytes.');
     if (!cb) throw new Error('A signing function must be provided');
 
@@ -139,32 +249,59 @@ export default class DHTStorage {
     debug('Writing mutable data for key: \'%s%s\'.',
         key_or_v.toString('hex'), opt_salt ? '::' + opt_salt.toString('hex') : '');
 
-    // prepare write tokens
-    /** @type {DHTStoreRecord} */
-    let prev = {
-      k: key_or_v,
-      v: undefined,
-      sig: undefined,
-      seq: 0
-    };
-    if (opt_salt) prev.salt = opt_salt;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await this.putMutable_(target, key_or_v, opt_salt, cas, cb, signal);
+        return target;
+      } catch (e) {
+        if (!(e instanceof KRPCError) || e.code !== ErrorCode.SEQ_TOO_LOW ||
+            attempt >= retries) {
+          throw e;
+        }
+        debug('Network has a newer value for \'%s\', retrying put.',
+            target.toString('hex'));
+      }
+    }
+  }
+
 
-    // create a bucket to store nodes with write tokens
-    const writeable = new PQueue(this.dht_.K_);
-    await this.dht_.closest_(target, 'get', {
+  /**
+   * Read the newest value of a mutable target, sign the update and write it
+   * to the K closest nodes.
+   * @param {Buffer} target The target hash.
+   * @param {Buffer} k The public key.
+   * @param {Buffer|undefined} salt The salt, if any.
+   * @param {number|undefined} cas The compare and swap sequence number.
+   * @param {DHTSignatureCallback} cb The signature callback.
+   * @param {AbortSignal=} opt_signal Aborts the put.
+   * @private
+   */
+  async putMutable_(target, k, salt, cas, cb, opt_signal) {
+    // find the newest value, starting with our own copy if we have one
+    /** @type {DHTStoreRecord|undefined} */
+    let newest = this.store_.get(target);
+    const validate = GetResponseValidator(target, salt);
+    const isNewer = (/** @type {DHTStoreRecord|undefined} */ r) =>
+        r && (!newest || (r.seq || 0) > (newest.seq || 0));
+
+    const { closest } = await this.dht_.closest_(target, 'get', {
       'target': target,
       'id': this.dht_.id
-    }, (r, node) => {
-      if (node.token) {
-        debug('found writable node', node.address);
-        writeable.push(distance(target, node.id), node);
-      }
-      if (r.v) {
-        // todo exit if the seq is higher than what we are trying to put
-        // todo create a list of nodes that have old data we need to update
-        // console.log('------', r);
-      }
-    });
+    }, (r) => {
+      const record = validate(r);
+      if (isNewer(record)) newest = record;
+    }, opt_signal);
+    throwIfAborted(opt_signal);
+
+    /** @type {DHTStoreRecord} */
+    const prev = newest ? {
+      k: k,
+      v: newest.v,
+      sig: newest.sig,
+      seq: newest.seq || 0
+    } : { k: k, v: undefined, sig: undefined, seq: undefined };
+    if (salt) prev.salt = salt;
+    const nextSeq = prev.seq === undefined ? 0 : prev.seq + 1;
 
     // call for value
     const signed = cb((r, secretKey) => {
@@ -173,70 +310,104 @@ export default class DHTStorage {
       r.k = r.k || prev.k;
       r.v = r.v || prev.v;
       r.v = typeof r.v === 'string' ? Buffer.from(r.v) : r.v;
-      r.seq = r.seq || prev.seq;
+      r.seq = r.seq === undefined ? nextSeq : r.seq;
       if (r.salt || prev.salt) r.salt = r.salt || prev.salt;
 
-      r.sig = ed25519.sign(encodeSigData(r), key_or_v, secretKey);
+      r.sig = ed25519.sign(encodeSigData(r), k, secretKey);
       return r;
     }, prev);
     signed.token = (node) => node.token;
+    if (cas !== undefined) signed.cas = cas;
 
-    if (!signed.v || signed.v.length > 1000) throw new Error('v must be less than 1000 bytes');
+    if (!signed.v || bencode.encode(signed.v).length > MAX_VALUE_SIZE) {
+      throw new Error('v must be less than 1000 bytes');
+    }
 
-    // write to the K closest
-    const closest = writeable.items();
-    await this.rpc_.query(closest, 'put', signed);
-    return target;
+    // don't bother writing if the nodes are going to reject it
+    const seq = signed.seq || 0;
+    if (prev.seq !== undefined && prev.v && (seq < prev.seq ||
+        (seq === prev.seq && !prev.v.equals(signed.v)))) {
+      debug('Put to \'%s\' with seq %s is not above the network\'s seq %s.',
+          target.toString('hex'), seq, prev.seq);
+      throw new KRPCError(ErrorCode.SEQ_TOO_LOW,
+          'sequence number less than current.');
+    }
+
+    // write to the K closest that gave us a write token
+    const writeable = closest.filter((node) => node.token);
+    await this.write_(writeable, signed, opt_signal);
   }
 
 
   /**
    * Put immutable data to the DHT.
    * @param {string|Buffer} data The immutable data to put.
+   * @param {AbortSignal=} opt_signal Aborts the put.
    * @return {Promise.<Buffer>} The sha key the data was stored at.
    */
-  async putImmutable_(data) {
+  async putImmutable_(data, opt_signal) {
     const v = (typeof data === 'string') ?
           Buffer.from(data) : data;
     const target = sha1(bencode.encode(v));
 
-    if (v.length > 1000) throw new Error('v must be less than 1000 bytes');
+    if (bencode.encode(v).length > MAX_VALUE_SIZE) {
+      throw new Error('v must be less than 1000 bytes');
+    }
     debug('Writing immutable data as \'%s\'.', target.toString('hex'));
 
-    // create a bucket to store nodes with write tokens
-    const writeable = new PQueue(this.dht_.K_);
-    await this.dht_.closest_(target, 'get', {
+    const { closest } = await this.dht_.closest_(target, 'get', {
       'target': target,
       'id': this.dht_.id
-    }, (r, node) => {
-      if (node.token) writeable.push(distance(target, node.id), node);
-    });
+    }, undefined, opt_signal);
+    throwIfAborted(opt_signal);
 
-    // write to the K closest
-    const closest = writeable.items();
-    await this.rpc_.query(closest, 'put', {
+    // write to the K closest that gave us a write token
+    const writeable = closest.filter((node) => node.token);
+    await this.write_(writeable, {
       'id': this.dht_.id,
       'v': v,
       'token': (/** @type {NodeInfo} */ node) => node.token
-    });
+    }, opt_signal);
 
     return target;
   }
 
 
+  /**
+   * Send a put query to the nodes.
+   * @param {NodeInfo[]} nodes The nodes to write to.
+   * @param {KRPCQueryArgument} args The put query args.
+   * @param {AbortSignal=} opt_signal Aborts the put.
+   * @return {Promise<void>} Rejects if none of the nodes accepted the put,
+   *     with the first `KRPCError` if any, otherwise e.g. with the timeout.
+   * @private
+   */
+  async write_(nodes, args, opt_signal) {
+    /** @type {any[]} */
+    const results = await this.rpc_.query(nodes, 'put', args,
+        { signal: opt_signal });
+    throwIfAborted(opt_signal);
+    if (results.some((res) => !res.error)) return;
+
+    const errors = results.map((res) => res.error);
+    throw errors.find((err) => err instanceof KRPCError) || errors[0] ||
+        new Error('No nodes to store the value on.');
+  }
+
+
   /**
    * @param {string} method The query method we are handling.
    * @param {any} args The arguments.
    * @param {NodeInfo} node The sending node
    * @param {function(any):void} respond
+   * @param {function(any):void} fail
    */
-  handleQuery_(method, args, node, respond) {
+  handleQuery_(method, args, node, respond, fail) {
     try {
       if (method === 'get') respond( this.handleGetQuery_(args, node) );
       if (method === 'put') respond( this.handlePutQuery_(args, node) );
     } catch (e) {
-      // todo figure out how to respond with an error
-      console.error('todo: implement error response', e);
+      fail(e);
     }
   }
 
@@ -250,19 +421,23 @@ export default class DHTStorage {
    */
   handleGetQuery_(args, node) {
     const stored = this.store_.get(args.target);
-    const nodes = this.dht_.closestNodes(args.target, this.dht_.K_);
-
-    if (stored) {
-      debug('Node %s:s \'get\' query found local value for \'%s\'.',
-          node.address, node.port, args.target.toString('hex'));
-      // todo
-    }
-
-    return Object.assign({
+    const nodes = this.dht_.closestNodesFor(args.target, node, args.want);
+    const r = {
       id: this.dht_.id,
       token: this.store_.getWriteToken(args.target, node),
-      nodes: nodes
-    }, stored || {});
+      ...nodes
+    };
+    if (!stored) return r;
+
+    debug('Node %s:%s \'get\' query found local value for \'%s\'.',
+        node.address, node.port, args.target.toString('hex'));
+
+    // the requester already has this (or a newer) value, so only send the seq
+    if (stored.seq !== undefined && typeof args.seq === 'number' &&
+        stored.seq <= args.seq) {
+      return { ...r, seq: stored.seq };
+    }
+    return { ...r, ...stored };
   }
 
 
@@ -275,6 +450,19 @@ export default class DHTStorage {
    */
   handlePutQuery_(args, node) {
     const isMutable = args.sig !== undefined;
+    if (args.v === undefined || (isMutable && !Buffer.isBuffer(args.k))) {
+      throw new KRPCError(ErrorCode.PROTOCOL, 'Protocol Error');
+    }
+
+    // check the sizes, before doing any hashing
+    if (bencode.encode(args.v).length > MAX_VALUE_SIZE) {
+      throw new KRPCError(ErrorCode.MESSAGE_TOO_BIG,
+          'message (v field) too big.');
+    }
+    if (args.salt && args.salt.length > MAX_SALT_SIZE) {
+      throw new KRPCError(ErrorCode.SALT_TOO_BIG, 'salt (salt field) too big.');
+    }
+
     const target = isMutable ?
         (sha1(args.salt ? Buffer.concat([args.k, args.salt]) : args.k)) :
         sha1(bencode.encode(args.v));
@@ -284,28 +472,40 @@ export default class DHTStorage {
     if (!this.store_.verifyToken(args.token, target, node)) {
       debug('Node %s:%s \'put\' to \'%s\' failed with a bad token.',
           node.address, node.port, target.toString('hex'));
-      throw new Error('Bad token');
+      throw new KRPCError(ErrorCode.PROTOCOL, 'Bad token');
     }
 
-    // todo validate args.v.length < 1000
     let success = false;
     if (isMutable) {
       // check the signature
       if (!ed25519.verify(args.sig, encodeSigData(args), args.k)) {
-        // todo respond with an error
         debug('Node %s:%s bad \'put\' query: signature does not match.',
             node.address, node.port);
-        throw new Error('Bad signature');
+        throw new KRPCError(ErrorCode.INVALID_SIGNATURE, 'Bad signature');
       }
 
+      // the sequence number can't go back, and if a compare and swap is
+      // asked for it has to be against the current sequence number
+      const seq = args.seq || 0;
       const last = this.store_.get(target);
       if (last) {
-        // todo verify seq and cas
+        if (args.cas !== undefined && args.cas !== last.seq) {
+          debug('Node %s:%s \'put\' to \'%s\' failed, cas %s is not seq %s.',
+              node.address, node.port, target.toString('hex'), args.cas, last.seq);
+          throw new KRPCError(ErrorCode.CAS_MISMATCH,
+              'the CAS hash mismatched, re-read value and try again.');
+        }
+        if (seq < last.seq || (seq === last.seq && !last.v.equals(args.v))) {
+          debug('Node %s:%s \'put\' to \'%s\' failed, seq %s is not above %s.',
+              node.address, node.port, target.toString('hex'), seq, last.seq);
+          throw new KRPCError(ErrorCode.SEQ_TOO_LOW,
+              'sequence number less than current.');
+        }
       }
 
       success = this.store_.set(target, {
         k: Buffer.from(args.k),
-        seq: args.seq || 0,
+        seq: seq,
         sig: args.sig,
         salt: args.salt,
         v: Buffer.from(args.v)
@@ -326,7 +526,10 @@ export default class DHTStorage {
     }
 
     // node was good, so let's refresh it in the routing table
-    if (!success) throw new Error('Could not write, token validation failed.');
+    if (!success) {
+      throw new KRPCError(ErrorCode.PROTOCOL,
+          'Could not write, token validation failed.');
+    }
     return { id: this.dht_.id };
   }
 }
@@ -4,7 +4,18 @@ import { LRUCache } from 'lru-cache';
 
 
 /** @define {number} */
-const SECRET_REFRESH_INTERVAL = 10 * 60 * 1000; // 10 minutes
+const SECRET_REFRESH_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+/** @define {number} */
+const SECRET_GRACE_PERIOD = 5 * 60 * 1000; // 5 minutes
+
+
+/**
+ * @typedef {{
+ *   rotationInterval?: number,
+ *   gracePeriod?: number
+ * }} TokenStoreOptions
+ */
 
 
 /**
@@ -12,25 +23,43 @@ const SECRET_REFRESH_INTERVAL = 10 * 60 * 1000; // 10 minutes
  * The BitTorrent implementation uses the SHA1 hash of the IP address
  * concatenated onto a secret that changes every five minutes and tokens
  * up to ten minutes old are accepted.
+ * Tokens here are also bound to the target hash, and by default follow the
+ * same schedule: the secret rotates every `rotationInterval` and a retired
+ * secret is still accepted for `gracePeriod` after it was replaced.
  * @todo Why are we using `any` in the LRU?
  */
 export default class TokenStore {
-  constructor() {
+  /**
+   * @param {TokenStoreOptions=} opt_options Optional token configuration.
+   * @param {function(any, string)=} opt_onDrop Called with the values, and
+   *     their hex keys, as they leave the store other than by being replaced.
+   */
+  constructor(opt_options, opt_onDrop) {
+    opt_options = opt_options || {};
+
+    /**
+     * How long a retired secret is still accepted for.
+     * @type {number}
+     * @private
+     */
+    this.gracePeriod_ = opt_options.gracePeriod === undefined ?
+        SECRET_GRACE_PERIOD : opt_options.gracePeriod;
+
     /**
-     * The secret used to compute the tokens.
-     * @type {!Buffer}
+     * The secrets used to compute the tokens, the current one first followed
+     * by the retired ones that are still accepted.
+     * @type {!Array.<{ secret: Buffer, retiredAt: number }>}
      * @private
      */
-    this.secret_ = crypto.randomBytes(10);
+    this.secrets_ = [{ secret: crypto.randomBytes(10), retiredAt: Infinity }];
 
     /**
      * The interval used to update the secret.
      * @type {NodeJS.Timeout}
      * @private
      */
-    this.refreshInterval_ = setInterval(() => {
-      this.secret_ = crypto.randomBytes(10);
-    }, SECRET_REFRESH_INTERVAL);
+    this.refreshInterval_ = setInterval(() => this.rotateSecret_(),
+        opt_options.rotationInterval || SECRET_REFRESH_INTERVAL);
 
     /**
      * The data store.
@@ -39,7 +68,10 @@ export default class TokenStore {
      */
     this.store_ = new LRUCache({
       max: 500,
-      ttl: 7.2e+6 // 2 hours
+      ttl: 7.2e+6, // 2 hours
+      dispose: (value, key, reason) => {
+        if (opt_onDrop && reason !== 'set') opt_onDrop(value, key);
+      }
     });
   }
 
@@ -75,6 +107,14 @@ export default class TokenStore {
     return true;
   }
 
+  /**
+   * Remove the value stored under the target hash.
+   * @param {!Buffer} target The target hash.
+   */
+  delete(target) {
+    this.store_.delete(target.toString('hex'));
+  }
+
   /**
    * Verify the token owner.
    * @param {!Buffer} token The write token to verify.
@@ -83,7 +123,10 @@ export default class TokenStore {
    * @return {boolean} Whether the token is owner by the node.
    */
   verifyToken(token, target, node) {
-    return token.equals(this.getWriteToken(target, node));
+    if (!Buffer.isBuffer(token)) return false;
+    this.pruneSecrets_();
+    return this.secrets_.some(({ secret }) =>
+        token.equals(computeToken(secret, target, node)));
   }
 
   /**
@@ -93,10 +136,27 @@ export default class TokenStore {
    * @return {!Buffer} The write token.
    */
   getWriteToken(target, node) {
-    return crypto.createHash('sha1')
-        .update(target)
-        .update(node.address)
-        .digest();
+    return computeToken(this.secrets_[0].secret, target, node);
+  }
+
+  /**
+   * Replace the current secret, retiring the old one.
+   * @private
+   */
+  rotateSecret_() {
+    this.secrets_[0].retiredAt = Date.now();
+    this.secrets_.unshift({ secret: crypto.randomBytes(10), retiredAt: Infinity });
+    this.pruneSecrets_();
+  }
+
+  /**
+   * Drop the retired secrets that are past the grace period.
+   * @private
+   */
+  pruneSecrets_() {
+    const now = Date.now();
+    this.secrets_ = this.secrets_.filter(
+        ({ retiredAt }) => retiredAt + this.gracePeriod_ > now);
   }
 
   /**
@@ -115,3 +175,19 @@ export default class TokenStore {
     return this.store_.size;
   }
 }
+
+
+/**
+ * Compute a write token, the SHA1 hash of the secret, target and address.
+ * @param {!Buffer} secret The secret.
+ * @param {!Buffer} target The target hash.
+ * @param {!PeerInfo} node The requesting node.
+ * @return {!Buffer} The write token.
+ */
+function computeToken(secret, target, node) {
+  return crypto.createHash('sha1')
+      .update(secret)
+      .update(target)
+      .update(node.address)
+      .digest();
+}
@@ -29,10 +29,15 @@ declare module 'ed25519-supercop' {
 
 type EventEmitter = import('events').EventEmitter;
 
+interface OperationOptions {
+  signal?: AbortSignal,   // aborts the operation
+  timeout?: number        // in ms, the deadline for the operation
+}
+
 type KRPCQueryArgument = { [key: string]: any|((p: PeerInfo, m: string, a: KRPCQueryArgument )=>any)};
 
 interface IKRPC extends EventEmitter {
-  query(peer:PeerInfo|PeerInfo[], method: string, opt_args: KRPCQueryArgument): Promise<any>;
+  query(peer:PeerInfo|PeerInfo[], method: string, opt_args: KRPCQueryArgument, opt_options?: OperationOptions): Promise<any>;
 }
 
 interface IRoutingTable {
@@ -41,19 +46,27 @@ interface IRoutingTable {
 
 type ClosestCallback<T> = (r: any, n: NodeInfo) => T;
 
+interface ClosestResult<T> {
+  value: T | undefined;   // the first value returned by the callback
+  closest: NodeInfo[];    // the K closest nodes that responded
+}
+
 interface IDHT {
   id: Buffer,
   K_: number,    // Default number of closest nodes to query
   rpc_: IKRPC,
   nodes_: IRoutingTable,
+  tokenOptions_: { rotationInterval?: number, gracePeriod?: number },
 
-  closest_<T>(target: Buffer, method: string, args: any, opt_rescb:ClosestCallback<T>): Promise<NonNullable<T> | undefined>;
+  closest_<T>(target: Buffer, method: string, args: any, opt_rescb?:ClosestCallback<T>, opt_signal?: AbortSignal): Promise<ClosestResult<T>>;
 
-  closestNodes(id: Buffer, n?:number): Array<NodeInfo>;
+  closestNodes(id: Buffer, n?:number, family?: 'ipv4'|'ipv6'): Array<NodeInfo>;
+  closestNodesFor(target: Buffer, requester?: PeerInfo, want?: Array<Buffer|string>): { nodes?: NodeInfo[], nodes6?: NodeInfo[] };
 }
 
 interface IDHTExtension {
   provides: string[];
+  queries?: string[];   // KRPC query methods handled by the extension
   dispose(): void;
 }
 
@@ -64,5 +77,5 @@ interface IDHTExtensionConstructor {
 
 interface ITraversableQueryBase {
   node?: NodeInfo;
-  r: { nodes: NodeInfo[] };
+  r: { nodes?: NodeInfo[], nodes6?: NodeInfo[] };
 }
@@ -1,4 +1,5 @@
 import * as crypto from 'crypto';
+import net from 'net';
 
 
 
@@ -77,42 +78,109 @@ export function sha1(data) {
 
 
 /**
- * A simple fixed length priority queue, used for DHT navigation.
- * @template T
+ * Encode an IP address into its 4 (IPv4) or 16 (IPv6) byte representation.
+ * @param {string} address The IP address.
+ * @return {Buffer} The encoded address.
  */
-export class PQueue {
-  /**
-   * @param {number} fixedLen The maximum number of items in the queue.
-   */
-  constructor(fixedLen) {
-    /** @type {Array.<[number, T|null]>} */
-    this.arr_ = [];
-    this.flen_ = fixedLen;
-    for (let i = 0; i < fixedLen; i++) this.arr_.push([Infinity, null]);
+export function encodeAddress(address) {
+  // strip the zone index, e.g. 'fe80::1%eth0'
+  address = address.split('%')[0];
+  if (!net.isIPv6(address)) {
+    return Buffer.from(address.split('.').map((i) => parseInt(i, 10)));
   }
 
-  /**
-   * Push an item into the queue.
-   * @param {number} n The 'priority' of the item.
-   * @param {T} v The item.
-   */
-  push(n, v) {
-    for (let i = 0; i < this.flen_; i++) {
-      if (n < this.arr_[i][0]) {
-        this.arr_.splice(i, 0, [n, v]);  // splice in
-        this.arr_.pop();                 // pop the furthest
-        break;
-      }
-    }
+  // expand an embedded IPv4 tail, i.e. '::ffff:1.2.3.4'
+  let groups = address.split(':');
+  const tail = groups[groups.length - 1];
+  if (tail.includes('.')) {
+    const v4 = encodeAddress(tail);
+    groups.splice(-1, 1,
+        v4.readUInt16BE(0).toString(16), v4.readUInt16BE(2).toString(16));
+  }
+
+  // expand the '::' shorthand
+  const gap = groups.indexOf('');
+  if (gap !== -1) {
+    const head = groups.slice(0, gap).filter((g) => g !== '');
+    const rest = groups.slice(gap).filter((g) => g !== '');
+    const zeros = new Array(8 - head.length - rest.length).fill('0');
+    groups = [...head, ...zeros, ...rest];
   }
 
-  get max() {
-    return this.arr_[this.flen_ - 1][0]
+  const buf = Buffer.alloc(16);
+  groups.forEach((g, i) => buf.writeUInt16BE(parseInt(g, 16), i * 2));
+  return buf;
+}
+
+
+/**
+ * Decode a 4 or 16 byte IP address into its string representation.
+ * @param {Buffer} buf The encoded address.
+ * @return {string} The IP address.
+ */
+export function decodeAddress(buf) {
+  if (buf.length === 4) return Array.from(buf).join('.');
+
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) groups.push(buf.readUInt16BE(i));
+
+  // find the longest run of zero groups to compress into '::'
+  let best = -1, bestLen = 1;
+  for (let i = 0; i < 8; i++) {
+    let j = i;
+    while (j < 8 && groups[j] === 0) j++;
+    if (j - i > bestLen) { best = i; bestLen = j - i; }
+    i = j;
+  }
+
+  const hex = groups.map((g) => g.toString(16));
+  if (best === -1) return hex.join(':');
+  return hex.slice(0, best).join(':') + '::' +
+      hex.slice(best + bestLen).join(':');
+}
+
+
+/**
+ * Shuffle an array in place, Fisher-Yates.
+ * @template T
+ * @param {T[]} arr The array to shuffle.
+ * @return {T[]} The same array.
+ */
+export function shuffle(arr) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
   }
+  return arr;
+}
 
-  items() {
-    return this.arr_
-        .filter(([n, v]) => v !== null)
-        .map(([n, v]) => v);
+
+/**
+ * Combine the `signal` and `timeout` of an operation into a single signal.
+ * @param {OperationOptions=} opt_options The operation options.
+ * @return {AbortSignal|undefined} The signal, if the operation can be aborted.
+ */
+export function operationSignal(opt_options) {
+  if (!opt_options) return undefined;
+
+  /** @type {AbortSignal[]} */
+  const signals = [];
+  if (opt_options.signal) signals.push(opt_options.signal);
+  if (opt_options.timeout !== undefined) {
+    signals.push(AbortSignal.timeout(opt_options.timeout));
   }
+  if (signals.length < 2) return signals[0];
+
+  // aborted by whichever comes first, without adding listeners to the
+  // caller's signal, which may be shared by many operations
+  return AbortSignal.any(signals);
+}
+
+
+/**
+ * Reject an operation that was aborted, with the reason it was aborted.
+ * @param {AbortSignal=} opt_signal The operation's signal.
+ */
+export function throwIfAborted(opt_signal) {
+  if (opt_signal && opt_signal.aborted) throw opt_signal.reason;
 }
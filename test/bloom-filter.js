@@ -0,0 +1,37 @@
+import assert from 'assert';
+import BloomFilter from '#root/src/bloom-filter';
+
+
+describe('The BEP-33 bloom filter', () => {
+  // the test vector from BEP-33
+  function bep33Filter() {
+    const filter = new BloomFilter();
+    for (let i = 0; i < 256; i++) filter.add(`192.0.2.${i}`);
+    for (let i = 0; i < 1000; i++) filter.add(`2001:db8::${i.toString(16)}`);
+    return filter;
+  }
+
+  it('Matches the BEP-33 test vector.', () => {
+    const filter = bep33Filter();
+    assert(Math.abs(filter.estimate() - 1224.9308) < 1e-3);
+    assert.equal(filter.toBuffer().toString('hex').slice(0, 32),
+                 'f6c3f5eaa07ffd91bde89f777f26fb2b');
+  });
+
+  it('Estimates zero when empty.', () => {
+    assert.equal(new BloomFilter().estimate(), 0);
+  });
+
+  it('Counts an address once, even across merged filters.', () => {
+    const a = new BloomFilter();
+    const b = new BloomFilter();
+    a.add('1.2.3.4');
+    b.add('1.2.3.4');
+    b.add('5.6.7.8');
+    a.merge(b.toBuffer());
+    assert.equal(Math.round(a.estimate()), 2);
+
+    // a filter can also be created from the bits of a response
+    assert.equal(Math.round(new BloomFilter(a.toBuffer()).estimate()), 2);
+  });
+});
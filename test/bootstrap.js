@@ -0,0 +1,164 @@
+import assert from 'assert';
+import crypto from 'crypto';
+import { once } from 'events';
+import sinon from 'sinon';
+import DHT from '#root/src/index';
+
+
+describe('Bootstrapping', () => {
+  let dht = null;
+  let queried = [];
+
+  const router = { address: '10.0.0.1', port: 6881 };
+  const network = Array.from({ length: 16 }, (_, i) => ({
+    id: crypto.randomBytes(20),
+    address: `10.0.1.${i}`,
+    port: 6881,
+    family: 'ipv4'
+  }));
+
+  // answers as a live network, except for the given dead addresses
+  function stubQuery(dead) {
+    dht.rpc_.query = (peer, method, args) => {
+      queried.push({ address: peer.address, time: Date.now() });
+      return new Promise((resolve) => setImmediate(() => {
+        if (dead(peer.address)) return resolve({ error: new Error('Timeout') });
+        const node = { id: peer.id || network[0].id, ...peer, family: 'ipv4' };
+        dht.rpc_.emit('response', node);
+        resolve({ node, r: { id: node.id, nodes: network.slice(0, 8) } });
+      }));
+    };
+  }
+
+  beforeEach(() => {
+    queried = [];
+  });
+
+  afterEach(() => {
+    dht.dispose();
+  });
+
+  it('Emits \'ready\' once nodes respond.', async () => {
+    dht = new DHT({ bootstrapNodes: [router] });
+    stubQuery(() => false);
+
+    const ready = once(dht, 'ready');
+    await dht.listen(0, '127.0.0.1');
+    const [{ nodes }] = await ready;
+    assert.ok(nodes > 0);
+    assert.equal(queried[0].address, router.address);
+  });
+
+  it('Retries with an exponential backoff.', async () => {
+    dht = new DHT({ bootstrapNodes: [router],
+                    bootstrap: { retries: 3, backoff: 10 } });
+    stubQuery(() => true);
+
+    const failed = once(dht, 'bootstrap-failed');
+    await dht.listen(0, '127.0.0.1');
+    const [{ attempts }] = await failed;
+    assert.equal(attempts, 4);
+    assert.equal(queried.length, 4);
+
+    // timers may fire a millisecond early
+    for (let i = 1; i < queried.length; i++) {
+      const gap = queried[i].time - queried[i - 1].time;
+      assert.ok(gap >= 10 * 2 ** (i - 1) - 1, `retry ${i} after ${gap}ms`);
+    }
+  });
+
+  it('Falls back from saved nodes to the bootstrap nodes.', async () => {
+    const saved = network[15];
+    dht = new DHT({
+      bootstrapNodes: [router],
+      nodes: [[saved.id.toString('hex'), saved.address, saved.port, 'ipv4',
+               null, Date.now() - 60 * 60 * 1000, null, 0]]
+    });
+    stubQuery((address) => address === saved.address);
+
+    const ready = once(dht, 'ready');
+    await dht.listen(0, '127.0.0.1');
+    await ready;
+    assert.equal(queried[0].address, saved.address);
+    assert.ok(queried.some((q) => q.address === router.address));
+  });
+
+  it('Falls back to the bootstrap nodes when saved nodes are stale.', async () => {
+    // saved a minute ago, so still counted as good, but gone since
+    const saved = network.slice(8, 12);
+    dht = new DHT({
+      bootstrapNodes: [router],
+      nodes: saved.map((n) => [n.id.toString('hex'), n.address, n.port, 'ipv4',
+                               null, Date.now() - 60 * 1000, null, 0])
+    });
+    stubQuery((address) => saved.some((n) => n.address === address));
+
+    const ready = once(dht, 'ready');
+    await dht.listen(0, '127.0.0.1');
+    await ready;
+    assert.ok(queried.some((q) => q.address === router.address));
+  });
+
+  it('Doesn\'t need the bootstrap nodes when saved nodes respond.', async () => {
+    const saved = network[3];
+    dht = new DHT({
+      bootstrapNodes: [router],
+      nodes: [[saved.id.toString('hex'), saved.address, saved.port, 'ipv4',
+               null, Date.now() - 60 * 60 * 1000, null, 0]]
+    });
+    stubQuery(() => false);
+
+    const ready = once(dht, 'ready');
+    await dht.listen(0, '127.0.0.1');
+    await ready;
+    assert.ok(!queried.some((q) => q.address === router.address));
+  });
+
+  it('Bootstraps again when the routing table runs low.', async () => {
+    dht = new DHT({ bootstrapNodes: [router], bootstrap: { minNodes: 4 } });
+    stubQuery(() => false);
+    await dht.listen(0, '127.0.0.1');
+
+    // enough good nodes, nothing to do
+    queried = [];
+    dht.handleRoutingCheck_();
+    assert.equal(queried.length, 0);
+
+    // as if we were asleep for an hour
+    dht.nodes_.getState().forEach(([id]) =>
+        dht.nodes_._nodeMap[id].lastResponse -= 60 * 60 * 1000);
+    const ready = once(dht, 'ready');
+    dht.handleRoutingCheck_();
+    await ready;
+    assert.ok(queried.length > 0);
+    assert.ok(dht.nodes_.goodLength >= 4);
+  });
+
+  it('Backs off bootstrapping a table that stays sparse.', async () => {
+    dht = new DHT({ bootstrapNodes: [router], bootstrap: { minNodes: 100 } });
+    stubQuery(() => false);
+    await dht.listen(0, '127.0.0.1');
+
+    const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+    const check = async () => {
+      const ready = once(dht, 'ready');
+      dht.handleRoutingCheck_();
+      if (!dht.isBootstrapping_) return false;
+      await ready;
+      return true;
+    };
+    try {
+      // a minute, then two, between bootstraps
+      assert.equal(await check(), true);
+      assert.equal(await check(), false);
+      clock.tick(60 * 1000);
+      assert.equal(await check(), true);
+      clock.tick(60 * 1000);
+      assert.equal(await check(), false);
+      clock.tick(60 * 1000);
+      assert.equal(await check(), true);
+    } finally {
+      clock.restore();
+    }
+  });
+});
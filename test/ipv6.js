@@ -0,0 +1,97 @@
+import assert from 'assert';
+import { createCluster, destroyCluster } from '#root/test/util';
+import { sha1 } from '#root/src/util';
+
+
+const IDS = [
+  '4a1f3c0e5b0c7d2e9f8a6b5c4d3e2f1a0b9c8d7e',
+  '9e2d4c6b8a0f1e3d5c7b9a8f6e4d2c0b1a3f5e7d',
+  'c31b5e7f9a2c4e6b8d0f1a3c5e7b9d2f4a6c8e0b',
+  '17e9c5a3f1d8b6e4c2a0f9d7b5e3c1a8f6d4b2e0',
+  'f0a2c4e6b8d1f3a5c7e9b2d4f6a8c0e3b5d7f9a1',
+  '62d8f4a0c6e2b8d4f0a6c2e8b4d0f6a2c8e4b0d6',
+  'ab3c5d7e9f1a2b4c6d8e0f3a5b7c9d1e2f4a6b8c',
+  '3d5f7a9c1e3b5d7f9a2c4e6b8d0f2a4c6e8b1d3f'
+];
+
+
+describe('BEP32 - IPv6 extension', () => {
+  describe('a dual-stack cluster', () => {
+    let cluster = null;
+
+    beforeEach(async () => {
+      cluster = await createCluster(IDS, 31000, { families: ['ipv4', 'ipv6'] });
+    });
+
+    afterEach(() => {
+      destroyCluster(cluster);
+    });
+
+    it('keeps separate routing tables per address family', () => {
+      cluster.slice(0, -1).forEach((n) => {
+        assert(n.nodes_.length > 0);
+        assert(n.nodes6_.length > 0);
+        n.nodes_.closest(n.id).forEach((p) => assert.equal(p.family, 'ipv4'));
+        n.nodes6_.closest(n.id).forEach((p) => assert.equal(p.family, 'ipv6'));
+      });
+    });
+
+    it('returns `nodes6` when asked for with `want`', async () => {
+      const peer = { address: '::1', port: cluster[3].socket6_.address().port };
+      const res = await cluster[0].rpc_.query(peer, 'find_node', {
+        'id': cluster[0].id,
+        'target': cluster[5].id,
+        'want': ['n4', 'n6']
+      });
+      assert(res.r.nodes.length > 0);
+      assert(res.r.nodes6.length > 0);
+      res.r.nodes6.forEach((n) => assert.equal(n.address, '::1'));
+
+      // without want, only the family the query was sent over
+      const res6 = await cluster[0].rpc_.query(peer, 'find_node', {
+        'id': cluster[0].id,
+        'target': cluster[5].id
+      });
+      assert.equal(res6.r.nodes, undefined);
+      assert(res6.r.nodes6.length > 0);
+    });
+
+    it('announces and finds peers on both address families', async () => {
+      const target = sha1('dual-stack');
+      await cluster[2].announce_peer(target, 4321);
+
+      const peers = await cluster[6].get_peers(target);
+      assert.deepEqual(new Set(peers.map((p) => p.family)),
+                       new Set(['ipv4', 'ipv6']));
+      peers.forEach((p) => assert.equal(p.port, 4321));
+    });
+  });
+
+  describe('an IPv6-only cluster', () => {
+    let cluster = null;
+
+    beforeEach(async () => {
+      cluster = await createCluster(IDS, 32000, { families: ['ipv6'] });
+    });
+
+    afterEach(() => {
+      destroyCluster(cluster);
+    });
+
+    it('can store and retrieve values', async () => {
+      assert.equal(cluster[1].socket_, null);
+      const target = await cluster[1].put('test-ipv6');
+      const res = await cluster[4].get(target);
+      assert.equal(res.v.toString(), 'test-ipv6');
+    });
+
+    it('announces 18 byte compact peers', async () => {
+      const target = sha1('ipv6-only');
+      await cluster[2].announce_peer(target, 1234);
+
+      const peers = await cluster[5].get_peers(target);
+      assert.equal(peers.length, 1);
+      assert.deepEqual(peers[0], { address: '::1', family: 'ipv6', port: 1234 });
+    });
+  });
+});
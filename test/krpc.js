@@ -4,7 +4,8 @@ import { EventEmitter } from 'events';
 import sinon from 'sinon';
 import bencode from 'bencode';
 
-import { KRPCSocket } from '#root/src/krpc';
+import { KRPCSocket, KRPCError, ErrorCode,
+    encodeCompactPeerInfo, decodeCompactPeerInfo } from '#root/src/krpc';
 
 
 describe('KRPC Protocol', () => {
@@ -91,11 +92,163 @@ describe('KRPC Protocol', () => {
         });
   });
 
+  it('Can override the timeout per query.', async () => {
+    krpc = new KRPCSocket(socketMock, { timeout: 0 });
+    const res = await krpc.query({ address: '3.3.3.3', port: 12345 }, 'test', {},
+        { timeout: 5 });
+    assert.match(res.error.message, /Timeout exceeded/);
+  });
+
+  it('Rejects pending transactions when aborted.', async () => {
+    krpc = new KRPCSocket(socketMock, { timeout: 0 });
+    const controller = new AbortController();
+    const p = krpc.query({ address: '3.3.3.3', port: 12345 }, 'test', {},
+        { signal: controller.signal });
+    assert.equal(Object.keys(krpc.outstandingTransactions_).length, 1);
+
+    controller.abort();
+    const res = await p;
+    assert.equal(res.error.name, 'AbortError');
+    assert.equal(Object.keys(krpc.outstandingTransactions_).length, 0);
+
+    // and doesn't send at all if already aborted
+    const again = await krpc.query({ address: '3.3.3.3', port: 12345 }, 'test',
+        {}, { signal: controller.signal });
+    assert.equal(again.error.name, 'AbortError');
+    assert.equal(socketMock.send.callCount, 1);
+  });
+
+  it('Rejects the query with a KRPCError when it receives an error', async () => {
+    const p = krpc.query({ address: '3.3.3.3', port: 12345 }, 'test');
+
+    const [buf, offset, len, port, address] = socketMock.send.args[0];
+    const { t } = bencode.decode(buf);
+    socketMock.emit('message', bencode.encode({
+      t: t,
+      y: 'e',
+      e: [ErrorCode.PROTOCOL, 'Bad token']
+    }), { address, port });
+
+    const res = await p;
+    assert(res.error instanceof KRPCError);
+    assert.equal(res.error.code, 203);
+    assert.equal(res.error.description, 'Bad token');
+  });
+
+  it('Sends the error code when a query handler fails', (done) => {
+    krpc.on('query', (method, args, node, respond, fail) => {
+      fail(new KRPCError(ErrorCode.INVALID_SIGNATURE, 'Bad signature'));
+      respond({ ok: 1 });  // ignored, the query was already answered
+
+      assert.equal(socketMock.send.callCount, 1);
+      const [buf] = socketMock.send.args[0];
+      const msg = bencode.decode(buf);
+      assert.equal(msg.t.toString(), 'g6');
+      assert.equal(msg.y.toString(), 'e');
+      assert.equal(msg.e[0], 206);
+      assert.equal(msg.e[1].toString(), 'Bad signature');
+      done();
+    });
+
+    socketMock.emit('message', bencode.encode({
+      t: 'g6', y: 'q', q: 'put', a: { id: 123 }
+    }), { address: '1.1.1.1', port: 4567 });
+  });
+
+  it('Sends a server error when a handler fails with an untyped error', (done) => {
+    krpc.on('query', (method, args, node, respond, fail) => {
+      fail(new Error('internal details'));
+
+      const msg = bencode.decode(socketMock.send.args[0][0]);
+      assert.equal(msg.e[0], 202);
+      assert.equal(msg.e[1].toString(), 'Server Error');
+      done();
+    });
+
+    socketMock.emit('message', bencode.encode({
+      t: 'g6', y: 'q', q: 'test', a: { id: 123 }
+    }), { address: '1.1.1.1', port: 4567 });
+  });
+
+  it('Sends a protocol error for malformed queries', () => {
+    socketMock.emit('message', bencode.encode({
+      t: 'g6', y: 'q', q: 'test'
+    }), { address: '1.1.1.1', port: 4567 });
+
+    const msg = bencode.decode(socketMock.send.args[0][0]);
+    assert.equal(msg.y.toString(), 'e');
+    assert.equal(msg.e[0], 203);
+  });
+
   it('Accepts an array of nodes to query');
   it('Calls functions passed as query args to get a value');
-  it('Decodes peer information');
-  it('Decodes received nodes');
-  it('Handles error responses');
+  it('Decodes peer information', () => {
+    const peers = [
+      { address: '1.2.3.4', family: 'ipv4', port: 6881 },
+      { address: '2001:db8::ff00:42:8329', family: 'ipv6', port: 6881 },
+      { address: '::1', family: 'ipv6', port: 80 }
+    ];
+
+    peers.forEach((peer) => {
+      const buf = encodeCompactPeerInfo(peer);
+      assert.equal(buf.length, peer.family === 'ipv6' ? 18 : 6);
+      assert.deepEqual(decodeCompactPeerInfo(buf), peer);
+    });
+  });
+
+  it('Decodes received nodes', () => {
+    const id = Buffer.alloc(20, 0xab);
+    const p = krpc.query({ address: '3.3.3.3', port: 12345 }, 'find_node')
+        .then((res) => {
+          assert.deepEqual(res.r.nodes, [
+            { id, address: '1.2.3.4', family: 'ipv4', port: 6881 }
+          ]);
+          assert.deepEqual(res.r.nodes6, [
+            { id, address: 'fe80::1', family: 'ipv6', port: 6881 }
+          ]);
+        });
+
+    respond({
+      id: id,
+      nodes: Buffer.concat([id, Buffer.from([1, 2, 3, 4, 0x1a, 0xe1])]),
+      nodes6: Buffer.concat([id, Buffer.from('fe800000000000000000000000000001', 'hex'),
+          Buffer.from([0x1a, 0xe1])])
+    });
+
+    return p;
+  });
   it('Gracefully handles garbage in');
-  it('Responds to queries');
+  it('Responds to queries with the requester\'s address', (done) => {
+    krpc.on('query', (method, args, node, respond) => {
+      respond({ id: 456 });
+
+      const msg = bencode.decode(socketMock.send.args[0][0]);
+      assert.equal(msg.y.toString(), 'r');
+      assert.deepEqual(msg.r, { id: 456 });
+      assert.deepEqual(decodeCompactPeerInfo(msg.ip),
+          { address: '1.1.1.1', family: 'ipv4', port: 4567 });
+      done();
+    });
+
+    socketMock.emit('message', bencode.encode({
+      t: 'g6', y: 'q', q: 'ping', a: { id: 123 }
+    }), { address: '1.1.1.1', port: 4567 });
+  });
+
+  it('Emits our address as seen by the responder', (done) => {
+    krpc.on('ip', (address, node) => {
+      assert.deepEqual(address, { address: '8.8.4.4', family: 'ipv4', port: 6881 });
+      assert.equal(node.address, '3.3.3.3');
+      done();
+    });
+
+    krpc.query({ address: '3.3.3.3', port: 12345 }, 'ping');
+    const [buf, offset, len, port, address] = socketMock.send.args[0];
+    socketMock.emit('message', bencode.encode({
+      t: bencode.decode(buf).t,
+      y: 'r',
+      r: { id: Buffer.alloc(20) },
+      ip: encodeCompactPeerInfo({ address: '8.8.4.4', port: 6881 })
+    }), { address, port });
+  });
 });
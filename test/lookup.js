@@ -0,0 +1,197 @@
+import assert from 'assert';
+import { getEventListeners } from 'events';
+import crypto from 'crypto';
+import DHT from '#root/src/index';
+import { compareDistance } from '#root/src/routing';
+
+
+describe('The iterative lookup', () => {
+  let dht = null;
+  let network = null;
+  let inflight = 0, maxInflight = 0, queried = [];
+
+  // a simulated network of nodes, each answering with the K closest it knows
+  function createNetwork(n) {
+    return Array.from({ length: n }, (_, i) => ({
+      id: crypto.randomBytes(20),
+      address: `10.0.${i >> 8}.${i & 0xff}`,
+      port: 6881,
+      family: 'ipv4'
+    }));
+  }
+
+  function closestTo(target, nodes, k=8) {
+    return [...nodes]
+        .sort((a, b) => compareDistance(target, a.id, b.id))
+        .slice(0, k);
+  }
+
+  function stubQuery(opt_dead=new Set(), opt_k=8) {
+    dht.rpc_.query = (peer, method, args) => {
+      queried.push(peer);
+      inflight++;
+      maxInflight = Math.max(maxInflight, inflight);
+      return new Promise((resolve) => setImmediate(() => {
+        inflight--;
+        if (opt_dead.has(peer.address)) return resolve({ error: new Error('Timeout') });
+        resolve({
+          node: { ...peer, token: Buffer.from('token') },
+          r: { id: peer.id, nodes: closestTo(args.target || args.info_hash, network, opt_k) }
+        });
+      }));
+    };
+  }
+
+  beforeEach(() => {
+    inflight = 0; maxInflight = 0; queried = [];
+    network = createNetwork(200);
+  });
+
+  afterEach(() => {
+    dht.dispose();
+  });
+
+  function seed() {
+    network.slice(0, 8).forEach((n) => dht.nodes_.recordResponse(n));
+  }
+
+  it('keeps at most alpha queries in flight', async () => {
+    dht = new DHT({ bootstrapNodes: [] });
+    seed();
+    stubQuery();
+
+    await dht.closest_(network[100].id, 'find_node', { target: network[100].id });
+    assert.equal(maxInflight, 3);
+
+    dht.alpha_ = 1;
+    maxInflight = 0;
+    await dht.closest_(network[50].id, 'find_node', { target: network[50].id });
+    assert.equal(maxInflight, 1);
+  });
+
+  it('returns the K closest nodes with their tokens', async () => {
+    dht = new DHT({ bootstrapNodes: [] });
+    seed();
+    stubQuery();
+
+    const target = crypto.randomBytes(20);
+    const { value, closest } = await dht.closest_(target, 'find_node', { target });
+    assert.equal(value, undefined);
+    assert.deepEqual(closest.map((n) => n.address),
+                     closestTo(target, network).map((n) => n.address));
+    closest.forEach((n) => assert.deepEqual(n.token, Buffer.from('token')));
+
+    // terminates without querying the whole network
+    assert(queried.length < network.length / 2);
+  });
+
+  it('skips nodes that fail to respond', async () => {
+    dht = new DHT({ bootstrapNodes: [] });
+    seed();
+
+    const target = crypto.randomBytes(20);
+    const dead = closestTo(target, network, 3);
+    stubQuery(new Set(dead.map((n) => n.address)), 16);
+
+    const { closest } = await dht.closest_(target, 'find_node', { target });
+    assert.equal(closest.length, 8);
+    assert.deepEqual(closest.map((n) => n.address),
+        closestTo(target, network, 11).slice(3).map((n) => n.address));
+  });
+
+  it('returns early when the callback returns a value', async () => {
+    dht = new DHT({ bootstrapNodes: [] });
+    seed();
+    stubQuery();
+
+    const target = crypto.randomBytes(20);
+    const { value } = await dht.closest_(target, 'find_node', { target },
+        (r, node) => node.address === queried[0].address && 'found');
+    assert.equal(value, 'found');
+    assert(queried.length <= 3);
+  });
+
+  it('stops querying when the signal is aborted', async () => {
+    dht = new DHT({ bootstrapNodes: [] });
+    seed();
+    stubQuery();
+
+    const controller = new AbortController();
+    const target = crypto.randomBytes(20);
+    const { value } = await dht.closest_(target, 'find_node', { target },
+        () => { controller.abort(); }, controller.signal);
+    assert.equal(value, undefined);
+
+    const sent = queried.length;
+    assert(sent <= 3);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.equal(queried.length, sent);
+  });
+
+  it('rejects operations that are aborted or time out', async () => {
+    dht = new DHT({ bootstrapNodes: [] });
+    seed();
+    dht.rpc_.query = () => new Promise(() => {});   // never responds
+
+    const target = crypto.randomBytes(20);
+    await assert.rejects(dht.find_node(target, { timeout: 10 }),
+                         { name: 'TimeoutError' });
+
+    const controller = new AbortController();
+    const lookup = dht.get_peers(target, { signal: controller.signal });
+    controller.abort();
+    await assert.rejects(lookup, { name: 'AbortError' });
+  });
+
+  it('leaves no listeners on a signal shared by many operations', async () => {
+    dht = new DHT({ bootstrapNodes: [] });
+    seed();
+    stubQuery();
+
+    const { signal } = new AbortController();
+    const target = crypto.randomBytes(20);
+    await Promise.all(Array.from({ length: 20 }, (_, i) =>
+        dht.get_peers(target, i % 2 ? { signal } : { signal, timeout: 1000 })));
+    for await (const peer of dht.lookupPeers(target, { signal })) break;
+    assert.equal(getEventListeners(signal, 'abort').length, 0);
+  });
+
+  describe('find_node', () => {
+    it('resolves to the node if a response lists it', async () => {
+      dht = new DHT({ bootstrapNodes: [] });
+      seed();
+      stubQuery();
+
+      const node = await dht.find_node(network[100].id);
+      assert.equal(node.address, network[100].address);
+      assert(node.id.equals(network[100].id));
+    });
+
+    it('resolves to the K closest nodes otherwise', async () => {
+      dht = new DHT({ bootstrapNodes: [] });
+      seed();
+      stubQuery();
+
+      const target = crypto.randomBytes(20);
+      const nodes = await dht.find_node(target.toString('hex'));
+      assert.deepEqual(nodes.map((n) => n.address),
+                       closestTo(target, network).map((n) => n.address));
+    });
+
+    it('can query a single node', async () => {
+      dht = new DHT({ bootstrapNodes: [] });
+      stubQuery(new Set([network[1].address]));
+
+      const node = await dht.find_node(network[100].id, { node: network[0] });
+      assert.equal(node.address, network[100].address);
+      assert.deepEqual(queried, [network[0]]);
+
+      const target = crypto.randomBytes(20);
+      const nodes = await dht.find_node(target, { node: network[0] });
+      assert.equal(nodes.length, 8);
+
+      await assert.rejects(dht.find_node(target, { node: network[1] }),
+                           /Timeout/);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import assert from 'assert';
+import crypto from 'crypto';
+import sinon from 'sinon';
+import Maintenance from '#root/src/maintenance';
+import { RoutingTable } from '#root/src/routing';
+
+
+describe('The maintenance scheduler', () => {
+  const MINUTE = 1000 * 60;
+  let clock = null;
+  let maintenance = null;
+  let dht = null;
+
+  function ni(prefix, i) {
+    return {
+      id: Buffer.from(prefix + '00'.repeat(19), 'hex'),
+      address: `10.0.0.${i}`, port: 6881, family: 'ipv4'
+    };
+  }
+
+  function createDHT(tables) {
+    return {
+      K_: 8,
+      routingTables_: () => tables,
+      ping: sinon.spy(() => Promise.resolve({})),
+      find_node: sinon.spy(() => Promise.resolve([]))
+    };
+  }
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers({ now: Date.now() });
+  });
+
+  afterEach(() => {
+    maintenance.dispose();
+    clock.restore();
+  });
+
+  it('staggers the refreshes of stale buckets', () => {
+    // buckets from 0x80, 0x40 and 0x20, and the one with our id
+    const rt = new RoutingTable('00'.repeat(20), { K: 1 });
+    ['80', '40', '20', '10'].forEach((p, i) => rt.recordResponse(ni(p, i)));
+
+    dht = createDHT([rt]);
+    maintenance = new Maintenance(dht, { queriesPerSecond: 100 });
+    maintenance.start();
+
+    const times = [];
+    dht.find_node = sinon.spy(() => {
+      times.push(Date.now());
+      return Promise.resolve([]);
+    });
+    clock.tick(17 * MINUTE);
+
+    // each bucket once, at different times
+    assert.equal(dht.find_node.callCount, 4);
+    assert.equal(new Set(times).size, 4);
+    const buckets = dht.find_node.args.map(([t]) =>
+        t[0] < 0x20 ? 0 : t[0] < 0x40 ? 1 : t[0] < 0x80 ? 2 : 3);
+    assert.deepEqual(buckets.sort(), [0, 1, 2, 3]);
+
+    // and not again until they are stale again
+    clock.tick(10 * MINUTE);
+    assert.equal(dht.find_node.callCount, 4);
+  });
+
+  it('pings questionable nodes within the budget', () => {
+    const rt = new RoutingTable('00'.repeat(20));
+    for (let i = 0; i < 6; i++) rt.recordResponse(ni('8' + i, i));
+    clock.tick(16 * MINUTE);
+
+    dht = createDHT([rt]);
+    maintenance = new Maintenance(dht,
+        { queriesPerSecond: 2, refreshInterval: 60 * MINUTE });
+    maintenance.start();
+
+    clock.tick(1000);
+    assert.equal(dht.ping.callCount, 2);
+    clock.tick(2000);
+    assert.equal(dht.ping.callCount, 6);
+
+    // pinged nodes get some time to answer
+    clock.tick(10 * 1000);
+    assert.equal(dht.ping.callCount, 6);
+  });
+
+  it('doesn\'t let pings starve the refreshes', () => {
+    const rt = new RoutingTable('00'.repeat(20), { K: 1000 });
+    for (let i = 0; i < 800; i++) {
+      rt.recordResponse({ ...ni('80', i), id: crypto.randomBytes(20),
+                          address: `10.0.${i >> 8}.${i & 0xff}` });
+    }
+    clock.tick(16 * MINUTE);
+
+    dht = createDHT([rt]);
+    maintenance = new Maintenance(dht, { queriesPerSecond: 10, jitter: 0 });
+    maintenance.start();
+
+    // the overdue bucket first, the pings get the rest
+    clock.tick(1000);
+    assert.equal(dht.find_node.callCount, 1);
+    assert.equal(dht.ping.callCount, 2);
+
+    // and every node gets pinged in turn
+    clock.tick(80 * 1000);
+    assert.equal(dht.find_node.callCount, 1);
+    assert.equal(new Set(dht.ping.args.map(([n]) => n.address)).size, 800);
+  });
+
+  it('counts a refresh as K queries', () => {
+    const rt = new RoutingTable('00'.repeat(20));
+    dht = createDHT([rt]);
+    maintenance = new Maintenance(dht,
+        { queriesPerSecond: 4, refreshInterval: 1000, jitter: 0 });
+    maintenance.start();
+
+    // due every second, but the budget only allows one every two
+    clock.tick(1000);
+    assert.equal(dht.find_node.callCount, 0);
+    clock.tick(1000);
+    assert.equal(dht.find_node.callCount, 1);
+    clock.tick(4000);
+    assert.equal(dht.find_node.callCount, 3);
+  });
+});
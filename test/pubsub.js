@@ -0,0 +1,140 @@
+import assert from 'assert';
+import { once } from 'events';
+import ed25519 from 'ed25519-supercop';
+import { createCluster, destroyCluster } from '#root/test/util';
+import { sha1 } from '#root/src/util';
+
+
+const ED_SEED = Buffer.from(
+    'ae460d331b6707d14af2b11315b490178a649c7bb39e075009b5e7d304d9ecf8', 'hex');
+
+
+describe('BEP50 - DHT Publish/Subscribe Extension', () => {
+  let cluster = null;
+  const keys = ed25519.createKeyPair(ED_SEED);
+  const topic = sha1('pubsub-topic');
+
+  beforeEach(async function() {
+    cluster = await createCluster(12, 41000);
+  });
+
+  afterEach(() => {
+    destroyCluster(cluster);
+  });
+
+  it('Delivers published messages to subscribers.', async () => {
+    const sub = cluster[3].subscribe(topic);
+    await once(sub, 'subscribed');
+
+    const received = once(sub, 'message');
+    const nodes = await cluster[8].publish(topic, keys.publicKey,
+        (sign) => sign({ v: 'hello' }, keys.secretKey));
+    assert.ok(nodes.length > 0);
+
+    const [msg] = await received;
+    assert.equal(msg.v.toString(), 'hello');
+    assert.ok(msg.topic.equals(topic));
+    assert.ok(msg.k.equals(keys.publicKey));
+  });
+
+  it('Can be consumed as an async iterator.', async () => {
+    const sub = cluster[5].subscribe(topic.toString('hex'));
+    await once(sub, 'subscribed');
+
+    // the iterator starts listening on the first `next()`
+    const messages = sub[Symbol.asyncIterator]();
+    const first = messages.next();
+    for (let v of ['one', 'two']) {
+      await cluster[9].publish(topic, keys.publicKey,
+          (sign) => sign({ v }, keys.secretKey));
+    }
+
+    assert.equal((await first).value.v.toString(), 'one');
+    assert.equal((await messages.next()).value.v.toString(), 'two');
+
+    // closing ends the iteration
+    const last = messages.next();
+    sub.close();
+    assert.equal((await last).done, true);
+  });
+
+  it('Delivers each message once.', async () => {
+    const sub = cluster[2].subscribe(topic);
+    await once(sub, 'subscribed');
+
+    let count = 0;
+    sub.on('message', () => count++);
+    await cluster[7].publish(topic, keys.publicKey,
+        (sign) => sign({ v: 'once' }, keys.secretKey));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(count, 1);
+
+    // and not at all once closed
+    sub.close();
+    await cluster[7].publish(topic, keys.publicKey,
+        (sign) => sign({ v: 'closed' }, keys.secretKey));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(count, 1);
+  });
+
+  it('Relays each message once, even when signed again.', async () => {
+    const sub = cluster[4].subscribe(topic);
+    await once(sub, 'subscribed');
+
+    let count = 0;
+    sub.on('message', () => count++);
+    const received = [];
+    for (let v of ['first', 'again']) {
+      let publishes = 0;
+      const onQuery = (method) => publishes += method === 'publish';
+      cluster[4].rpc_.on('query', onQuery);
+      await cluster[6].publish(topic, keys.publicKey,
+          (sign) => sign({ v, seq: 7 }, keys.secretKey));
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      cluster[4].rpc_.off('query', onQuery);
+      received.push(publishes);
+    }
+
+    // the nodes we subscribed with relay the first, but the second at most
+    // reaches us from the publisher
+    assert.equal(count, 1);
+    assert.ok(received[0] > 1);
+    assert.ok(received[1] <= 1);
+  });
+
+  it('Emits failed subscriptions as errors.', async () => {
+    cluster[3].closest_ = () => Promise.reject(new Error('Lookup failed'));
+    const sub = cluster[3].subscribe(topic);
+    const [err] = await once(sub, 'error');
+    assert.equal(err.message, 'Lookup failed');
+  });
+
+  it('Stops subscribing when closed.', async () => {
+    let signal = null;
+    cluster[3].closest_ = (target, method, args, cb, opt_signal) => {
+      signal = opt_signal;
+      return new Promise(() => {});
+    };
+    const sub = cluster[3].subscribe(topic);
+    assert.equal(signal.aborted, false);
+    sub.close();
+    assert.equal(signal.aborted, true);
+  });
+
+  it('Will reject messages that aren\'t signed properly.', async () => {
+    const peer = { address: '127.0.0.1', port: cluster[1].socket_.address().port };
+    const res = await cluster[0].rpc_.query(peer, 'publish', {
+      id: cluster[0].id, target: topic, k: keys.publicKey, seq: 1,
+      sig: Buffer.alloc(64), v: Buffer.from('forged')
+    });
+    assert.equal(res.error.code, 206);
+  });
+
+  it('Will refuse subscriptions with a bad token.', async () => {
+    const peer = { address: '127.0.0.1', port: cluster[1].socket_.address().port };
+    const res = await cluster[0].rpc_.query(peer, 'subscribe', {
+      id: cluster[0].id, target: topic, token: Buffer.from('bad')
+    });
+    assert.equal(res.error.code, 203);
+  });
+});
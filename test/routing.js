@@ -1,6 +1,10 @@
 import assert from 'assert';
+import crypto from 'crypto';
 import sinon from 'sinon';
-import { RoutingTable } from '#root/src/routing';
+import DHT from '#root/src/index';
+import { RoutingTable, distance, compareDistance,
+    idAtDepth } from '#root/src/routing';
+import { computeSecureNodeId } from '#root/src/security';
 
 
 
@@ -23,7 +27,7 @@ describe('The routing table', () => {
 
     assert.equal(
         rt._root.left.max.toString('hex'),
-        '8080808080808080808080808080808080808080');
+        '8000000000000000000000000000000000000000');
   });
 
 
@@ -40,7 +44,7 @@ describe('The routing table', () => {
     });
 
     it('will evict and replace the node if it doesn\'t respond to ping', async () => {
-      let rt = new RoutingTable(ids[0], { K: 1 });
+      let rt = new RoutingTable(ids[0], { K: 1, pingRetryDelay: 0 });
       rt.on('ping', (nodeInfo, cb) => cb(false));
 
       rt.recordQuery(ni(ids[6], ips[1], 6881));
@@ -74,6 +78,104 @@ describe('The routing table', () => {
       assert.equal(ids[6] in rt._nodeMap, false);
       assert.equal(ids[3] in rt._nodeMap, true);
     });
+
+    it('pings a questionable node twice before evicting it', async () => {
+      const clock = sinon.useFakeTimers({ now: Date.now() });
+      let rt = new RoutingTable(ids[0], { K: 1, pingRetryDelay: 5000 });
+      let pings = 0;
+      rt.on('ping', (nodeInfo, cb) => cb(++pings === 2));
+
+      rt.recordQuery(ni(ids[6], ips[1], 6881));
+      const insert = rt.recordResponse(ni(ids[3], ips[2], 6881));
+
+      // the second ping waits a while for the packet loss to pass
+      await clock.tickAsync(4000);
+      assert.equal(pings, 1);
+      await clock.tickAsync(1000);
+      await insert;
+      clock.restore();
+
+      // it answered the second ping, so it stays
+      assert.equal(pings, 2);
+      assert.equal(ids[6] in rt._nodeMap, true);
+      assert.equal(ids[3] in rt._nodeMap, false);
+    });
+
+    it('counts each missed ping once', async () => {
+      const clock = sinon.useFakeTimers({ now: Date.now() });
+      const dht = new DHT({ id: ids[0], K: 1, bootstrapNodes: [] });
+      dht.rpc_.query = (peer) => {
+        dht.rpc_.emit('timeout', peer);
+        return Promise.resolve({ error: new Error('Timeout') });
+      };
+
+      dht.nodes_.recordQuery(ni(ids[6], ips[1], 6881));
+      const insert = dht.nodes_.recordResponse(ni(ids[3], ips[2], 6881));
+      await clock.tickAsync(1000);
+      assert.equal(dht.nodes_._nodeMap[ids[6]].failedResponses, 1);
+
+      // and is replaced after missing the second
+      await clock.tickAsync(5000);
+      await insert;
+      assert.equal(ids[6] in dht.nodes_._nodeMap, false);
+      assert.equal(ids[3] in dht.nodes_._nodeMap, true);
+      dht.dispose();
+      clock.restore();
+    });
+
+    it('inserts a node seen again while pinging only once', async () => {
+      let rt = new RoutingTable(ids[0], { K: 2, pingRetryDelay: 0 });
+      // the first contact answers one ping only, so two inserts at once
+      // would each evict a different contact
+      let answered = false;
+      rt.on('ping', (nodeInfo, cb) => setImmediate(() => {
+        const answers = !answered && nodeInfo.id.toString('hex') === ids[6];
+        answered = answered || answers;
+        cb(answers);
+      }));
+      let added = 0;
+      rt.on('node-added', () => added++);
+
+      rt.recordQuery(ni(ids[6], ips[1], 6881));
+      rt.recordQuery(ni(ids[7], ips[4], 6881));
+      added = 0;
+      await Promise.all([
+        rt.recordQuery(ni(ids[3], ips[2], 6881)),
+        rt.recordQuery(ni(ids[3], ips[2], 6881))
+      ]);
+
+      // it took the place of one contact only
+      const bucket = rt._bucketOf(rt._nodeMap[ids[3]]);
+      const contacts = bucket.contacts.map((n) => n.id.toString('hex'));
+      assert.equal(contacts.length, 2);
+      assert.equal(contacts.filter((id) => id === ids[3]).length, 1);
+      assert.equal(rt._ipCounts.get(ips[2]), 1);
+      assert.equal(added, 1);
+    });
+
+    it('promotes a replacement when a contact goes bad', async () => {
+      let rt = new RoutingTable(ids[0], { K: 1 });
+      rt.recordResponse(ni(ids[6], ips[1], 6881));
+      await rt.recordResponse(ni(ids[3], ips[2], 6881));
+      assert.equal(ids[3] in rt._nodeMap, false);
+
+      for (let i = 0; i < 3; i++) rt.recordNoResponse(ni(ids[6], ips[1], 6881));
+      assert.equal(ids[6] in rt._nodeMap, false);
+      assert.equal(ids[3] in rt._nodeMap, true);
+    });
+
+    it('keeps only the most recently seen replacements', async () => {
+      let rt = new RoutingTable(ids[0], { K: 1, replacements: 2 });
+      rt.recordResponse(ni(ids[6], ips[1], 6881));
+      await rt.recordResponse(ni(ids[3], ips[2], 6881));
+      await rt.recordResponse(ni(ids[7], ips[3], 6881));
+      await rt.recordResponse(ni(ids[13], ips[4], 6881));
+      await rt.recordResponse(ni(ids[3], ips[2], 6881));
+
+      const bucket = rt._bucketOf(rt._nodeMap[ids[6]]);
+      assert.deepEqual(bucket.replacements.map((n) => n.id.toString('hex')),
+                       [ids[13], ids[3]]);
+    });
   });
 
   describe('The refresh process', () => {
@@ -82,23 +184,362 @@ describe('The routing table', () => {
     // bucket's last changed property should be updated
     it('should update the buckets last change when appropriate');
     it('should refresh buckets that have not been changed in the last X minutes', () => {
+      const clock = sinon.useFakeTimers({ now: Date.now() });
       let rt = new RoutingTable(ids[0], { K: 1 });
       rt.recordQuery(ni(ids[1], ips[1], 6881));
       rt.recordResponse(ni(ids[2], ips[2], 6881));
+      clock.tick(1000);
+
+      // stub Math.random and take the due buckets
+      let rnd = sinon.stub(Math, 'random').returns(0.5);
+      let refresh_ids = [rt.nextRefresh(500), rt.nextRefresh(500)];
+      assert.equal(rt.nextRefresh(500), null);
+      rnd.restore();
+      clock.restore();
+      // the middle of the 0..2^159 and 2^159..2^160 buckets
+      assert.deepEqual(refresh_ids.sort(Buffer.compare), [
+        Buffer.from('40' + '00'.repeat(19), 'hex'),
+        Buffer.from('bf' + 'ff'.repeat(19), 'hex')
+      ]);
+    });
+  })
+
+  describe('BEP-42 node id enforcement', () => {
+    // a compliant id that falls into the same (unsplittable) bucket as ids[6]
+    function secureId(ip) {
+      for (let r = 0; ; r++) {
+        const id = computeSecureNodeId(ip, r);
+        if (id[0] < 0x80) return id.toString('hex');
+      }
+    }
+
+    it('can require compliant node ids', async () => {
+      let rt = new RoutingTable(ids[0], { secureIds: 'require' });
+      const sid = secureId(ips[2]);
+      await rt.recordResponse(ni(ids[6], ips[1], 6881));
+      await rt.recordResponse(ni(sid, ips[2], 6881));
+
+      assert.equal(ids[6] in rt._nodeMap, false);
+      assert.equal(sid in rt._nodeMap, true);
+    });
 
-      let refresh_ids = [];
-      rt.on('refresh', (forId) => { refresh_ids.push(forId); });
+    it('admits non-compliant nodes from local networks', async () => {
+      let rt = new RoutingTable(ids[0], { secureIds: 'require' });
+      await rt.recordResponse(ni(ids[6], '192.168.1.20', 6881));
+      assert.equal(ids[6] in rt._nodeMap, true);
+    });
+
+    it('evicts a non-compliant node for a compliant one when preferring', async () => {
+      let rt = new RoutingTable(ids[0],
+          { K: 1, secureIds: 'prefer', pingRetryDelay: 0 });
+      rt.on('ping', (nodeInfo, cb) => cb(false));
+
+      const sid = secureId(ips[2]);
+      await rt.recordQuery(ni(ids[6], ips[1], 6881));
+      await rt.recordResponse(ni(sid, ips[2], 6881));
+
+      assert.equal(ids[6] in rt._nodeMap, false);
+      assert.equal(sid in rt._nodeMap, true);
+    });
 
-      // stub Math.random and call refresh
-      let rnd = sinon.stub(Math, 'random').returns(4);
-      rt.refresh(-1);
-      rnd.reset();
-      assert.deepEqual(refresh_ids, [
-        Buffer.alloc(20, 0x80), Buffer.alloc(20, 0x04),
-        Buffer.alloc(20, 0xc4), Buffer.alloc(20, 0xe4)
+    it('keeps a non-compliant node that answers when preferring', async () => {
+      let rt = new RoutingTable(ids[0], { K: 1, secureIds: 'prefer' });
+      let pinged = [];
+      rt.on('ping', (nodeInfo, cb) => {
+        pinged.push(nodeInfo.id.toString('hex'));
+        cb(true);
+      });
+
+      const sid = secureId(ips[2]);
+      await rt.recordQuery(ni(ids[6], ips[1], 6881));
+      await rt.recordResponse(ni(sid, ips[2], 6881));
+
+      assert.deepEqual(pinged, [ids[6]]);
+      assert.equal(ids[6] in rt._nodeMap, true);
+      assert.equal(sid in rt._nodeMap, false);
+    });
+
+    it('keeps a good non-compliant node when preferring', async () => {
+      let rt = new RoutingTable(ids[0], { K: 1, secureIds: 'prefer' });
+      rt.on('ping', (nodeInfo, cb) => cb(true));
+
+      const sid = secureId(ips[2]);
+      await rt.recordResponse(ni(ids[6], ips[1], 6881));
+      await rt.recordResponse(ni(sid, ips[2], 6881));
+
+      assert.equal(ids[6] in rt._nodeMap, true);
+      assert.equal(sid in rt._nodeMap, false);
+      const bucket = rt._bucketOf(rt._nodeMap[ids[6]]);
+      assert.equal(bucket.replacements[0].id.toString('hex'), sid);
+    });
+
+    it('won\'t evict a compliant node for a non-compliant one when preferring', async () => {
+      let rt = new RoutingTable(ids[0], { K: 1, secureIds: 'prefer' });
+      rt.on('ping', (nodeInfo, cb) => cb(false));
+
+      const sid = secureId(ips[2]);
+      await rt.recordQuery(ni(sid, ips[2], 6881));
+      await rt.recordResponse(ni(ids[6], ips[1], 6881));
+
+      assert.equal(ids[6] in rt._nodeMap, false);
+      assert.equal(sid in rt._nodeMap, true);
+    });
+  });
+
+  describe('relaxed splitting', () => {
+    // 32 nodes for each of the 20 buckets nearest to us
+    let universe, byDistance;
+    before(() => {
+      const localId = Buffer.from(ids[0], 'hex');
+      universe = Array.from({ length: 20 * 32 }, (_, i) => ni(
+          idAtDepth(localId, i >> 5), `10.0.${i >> 5}.${i & 0x1f}`, 6881));
+      byDistance = universe
+          .map((n) => n.id.toString('hex'))
+          .sort((a, b) => compareDistance(localId,
+              Buffer.from(a, 'hex'), Buffer.from(b, 'hex')));
+    });
+
+    it('splits a sibling bucket for a node among the closest', async () => {
+      const local = '00'.repeat(20);
+      const far = ['7f', '7e'].map((b) => b + '00'.repeat(19));
+      const near = '41' + '00'.repeat(19);
+
+      for (let relaxedSplitting of [false, true]) {
+        let rt = new RoutingTable(local, { K: 2, relaxedSplitting });
+        for (let id of [...far, near]) {
+          await rt.recordResponse(ni(id, '10.0.0.1', 6881 + rt.length));
+        }
+        assert.equal(near in rt._nodeMap, relaxedSplitting);
+      }
+    });
+
+    it('holds the closest nodes to our own id', () => {
+      const strict = new RoutingTable(ids[0]);
+      const relaxed = new RoutingTable(ids[0], { relaxedSplitting: true });
+      universe.forEach((n) => strict.recordResponse(n));
+      universe.forEach((n) => relaxed.recordResponse(n));
+
+      const closest = byDistance.slice(0, 8);
+      assert.ok(closest.every((id) => id in relaxed._nodeMap));
+      assert.ok(!closest.every((id) => id in strict._nodeMap));
+      assert.ok(relaxed.length > strict.length);
+    });
+
+    it('only splits for nodes that responded', async () => {
+      const strict = new RoutingTable(ids[0]);
+      const relaxed = new RoutingTable(ids[0], { relaxedSplitting: true });
+      for (let rt of [strict, relaxed]) {
+        rt.on('ping', (node, cb) => cb(true));
+        await Promise.all(universe.map((n) => rt.recordQuery(n)));
+      }
+      assert.equal(relaxed.length, strict.length);
+    });
+  });
+
+  describe('address limits', () => {
+    it('limits the nodes sharing an ip address', async () => {
+      let rt = new RoutingTable(ids[0]);
+      await rt.recordResponse(ni(ids[1], ips[1], 6881));
+      await rt.recordResponse(ni(ids[2], ips[1], 6882));
+      assert.equal(ids[2] in rt._nodeMap, false);
+
+      rt = new RoutingTable(ids[0], { maxPerIp: 2 });
+      await rt.recordResponse(ni(ids[1], ips[1], 6881));
+      await rt.recordResponse(ni(ids[2], ips[1], 6882));
+      assert.equal(ids[2] in rt._nodeMap, true);
+    });
+
+    it('takes the address limits as given', async () => {
+      let rt = new RoutingTable(ids[0], { maxPerIp: 0 });
+      await rt.recordResponse(ni(ids[1], ips[1], 6881));
+      assert.equal(rt.length, 0);
+
+      rt = new RoutingTable(ids[0],
+          { maxPerIp: Infinity, maxPerSubnet: Infinity });
+      for (let i = 1; i <= 4; i++) {
+        await rt.recordResponse(ni(ids[i], ips[1], 6880 + i));
+      }
+      assert.equal(rt.length, 4);
+    });
+
+    it('limits the nodes sharing a subnet in a bucket', async () => {
+      let rt = new RoutingTable(ids[0]);
+      for (let i = 1; i <= 3; i++) {
+        await rt.recordResponse(ni(ids[i], `45.33.12.${i}`, 6881));
+      }
+      assert.equal(rt.length, 2);
+      assert.equal(ids[3] in rt._nodeMap, false);
+    });
+
+    it('exempts nodes on local networks', async () => {
+      let rt = new RoutingTable(ids[0]);
+      for (let i = 1; i <= 3; i++) {
+        await rt.recordResponse(ni(ids[i], '192.168.1.20', 6880 + i));
+      }
+      assert.equal(rt.length, 3);
+    });
+
+    it('frees the address when a node is evicted', async () => {
+      let rt = new RoutingTable(ids[0]);
+      await rt.recordResponse(ni(ids[1], ips[1], 6881));
+      for (let i = 0; i < 3; i++) rt.recordNoResponse(ni(ids[1], ips[1], 6881));
+      await rt.recordResponse(ni(ids[2], ips[1], 6882));
+      assert.equal(ids[2] in rt._nodeMap, false);
+
+      rt._evict(rt._bucketOf(rt._nodeMap[ids[1]]), rt._nodeMap[ids[1]]);
+      await rt.recordResponse(ni(ids[2], ips[1], 6882));
+      assert.equal(ids[2] in rt._nodeMap, true);
+    });
+  });
+
+  describe('address changes', () => {
+    it('keeps the known address by default', async () => {
+      let rt = new RoutingTable(ids[0]);
+      let changes = [];
+      rt.on('address-change', (node, seen) => changes.push([node, seen]));
+
+      await rt.recordQuery(ni(ids[1], ips[1], 6881));
+      await rt.recordResponse(ni(ids[1], ips[2], 6881));
+      assert.equal(changes.length, 1);
+      assert.equal(changes[0][1].address, ips[2]);
+      assert.equal(rt._nodeMap[ids[1]].address.address, ips[1]);
+      assert.equal(rt._nodeMap[ids[1]].lastResponse, null);
+
+      // nor do timeouts at the other address count against it
+      for (let i = 0; i < 3; i++) rt.recordNoResponse(ni(ids[1], ips[2], 6881));
+      assert.equal(rt._nodeMap[ids[1]].failedResponses, 0);
+    });
+
+    it('can follow a node to its new address', async () => {
+      let rt = new RoutingTable(ids[0], { addressChange: 'update' });
+      await rt.recordQuery(ni(ids[1], ips[1], 6881));
+      await rt.recordResponse(ni(ids[1], ips[2], 6881));
+      assert.equal(rt._nodeMap[ids[1]].address.address, ips[2]);
+      assert.notEqual(rt._nodeMap[ids[1]].lastResponse, null);
+
+      // the old address is free again, the new one isn't
+      await rt.recordResponse(ni(ids[2], ips[1], 6881));
+      await rt.recordResponse(ni(ids[3], ips[2], 6881));
+      assert.equal(ids[2] in rt._nodeMap, true);
+      assert.equal(ids[3] in rt._nodeMap, false);
+    });
+
+    it('can evict a node that changes address', async () => {
+      let rt = new RoutingTable(ids[0], { addressChange: 'evict' });
+      await rt.recordQuery(ni(ids[1], ips[1], 6881));
+      await rt.recordResponse(ni(ids[1], ips[1], 6882));
+      assert.equal(ids[1] in rt._nodeMap, false);
+      assert.equal(rt.length, 0);
+    });
+  });
+
+  describe('introspection', () => {
+    const id = (prefix) => prefix + '00'.repeat(19);
+
+    it('lists the buckets with their contacts', async () => {
+      let rt = new RoutingTable(id('00'), { K: 1 });
+      await rt.recordResponse(ni(id('80'), ips[1], 6881));
+      await rt.recordQuery(ni(id('40'), ips[2], 6881));
+      for (let i = 0; i < 3; i++) rt.recordNoResponse(ni(id('80'), ips[1], 6881));
+
+      const buckets = rt.buckets();
+      assert.deepEqual(buckets.map((b) => [b.min[0], b.max[0]]),
+                       [[0x00, 0x80], [0x80, 0xff]]);
+      assert.deepEqual(buckets.map((b) => b.contacts.map((c) => c.status)),
+                       [['questionable'], ['bad']]);
+      assert.equal(buckets[0].contacts[0].address, ips[2]);
+      assert.ok(buckets.every((b) => b.lastChanged <= Date.now()));
+    });
+
+    it('emits changes to the table', async () => {
+      let rt = new RoutingTable(id('00'), { K: 1, pingRetryDelay: 0 });
+      let events = [];
+      ['node-added', 'node-removed', 'bucket-split'].forEach((e) =>
+          rt.on(e, (...args) => events.push([e, ...args])));
+      rt.on('ping', (node, cb) => cb(false));
+
+      // the last node splits our bucket, and replaces the one that doesn't
+      // answer its pings
+      await rt.recordResponse(ni(id('80'), ips[1], 6881));
+      await rt.recordQuery(ni(id('40'), ips[2], 6881));
+      await rt.recordResponse(ni(id('41'), ips[3], 6881));
+
+      assert.deepEqual(events.map(([e]) => e), [
+        'node-added', 'bucket-split', 'node-added',
+        'bucket-split', 'node-removed', 'node-added'
       ]);
+      const [, left, right] = events[1];
+      assert.deepEqual([left.min[0], left.max[0], right.min[0]], [0x00, 0x80, 0x80]);
+      assert.equal(events[4][1].id.toString('hex'), id('40'));
+      assert.equal(events[5][1].id.toString('hex'), id('41'));
     });
-  })
+
+    it('is re-emitted by the DHT', () => {
+      const dht = new DHT({ id: id('00'), K: 1, bootstrapNodes: [] });
+      let events = [];
+      dht.on('node-added', (node) => events.push(node.address));
+      dht.on('bucket-split', (left, right, family) => events.push(family));
+      dht.on('address-change', (node, moved) => events.push(moved.address));
+
+      dht.nodes_.recordResponse(ni(id('80'), ips[1], 6881));
+      dht.nodes_.recordResponse(ni(id('40'), ips[2], 6881));
+      dht.nodes_.recordResponse(ni(id('40'), ips[3], 6881));
+      assert.deepEqual(events, [ips[1], 'ipv4', ips[2], ips[3]]);
+      assert.equal(dht.buckets().length, 2);
+      dht.dispose();
+    });
+  });
+
+  describe('distance ordering', () => {
+    // ids that only differ in their last bytes, a float distance can't tell
+    // these apart
+    const target = 'ffffffffffffffffffffffffffffffffffffff00';
+    const near = [
+      'ffffffffffffffffffffffffffffffffffffff01',
+      'ffffffffffffffffffffffffffffffffffffff02',
+      'ffffffffffffffffffffffffffffffffffff0000',
+      'fffffffffffffffffffffffffffffffffffe0000'
+    ];
+
+    it('computes and compares the exact 160-bit xor distance', () => {
+      const id = (h) => Buffer.from(h, 'hex');
+      assert.equal(distance(id(target), id(near[0])), 1n);
+      assert.equal(distance(id(target), id(near[1])), 2n);
+      assert.equal(distance(id(target), id(target)), 0n);
+      assert.equal(distance(Buffer.alloc(20), Buffer.alloc(20, 0xff)),
+                   2n ** 160n - 1n);
+      assert.equal(compareDistance(id(target), id(near[0]), id(near[1])), -1);
+      assert.equal(compareDistance(id(target), id(near[3]), id(near[2])), 1);
+      assert.equal(compareDistance(id(target), id(near[0]), id(near[0])), 0);
+    });
+
+    it('orders the closest nodes exactly', () => {
+      let rt = new RoutingTable(target, { K: 8 });
+      [...near].reverse().forEach((id, i) => rt.recordResponse(ni(id, ips[i], 6881)));
+
+      assert.deepEqual(rt.closest(target).map((n) => n.id.toString('hex')), near);
+      assert.deepEqual(rt.getState().map((s) => s[0]), near);
+    });
+
+    it('walks the buckets to the same closest nodes as a full sort', () => {
+      let rt = new RoutingTable(ids[0], { K: 64 });
+      for (let i = 0; i < 2000; i++) {
+        rt.recordResponse(ni(crypto.randomBytes(20).toString('hex'),
+            `10.0.${i >> 8}.${i & 0xff}`, 6881));
+      }
+
+      // enough nodes to take them from buckets far from the target too
+      const nodes = Object.values(rt._nodeMap);
+      for (let target of [ids[0], ...ids.slice(1, 6), 'ff'.repeat(20)]) {
+        const t = Buffer.from(target, 'hex');
+        const expected = nodes
+            .sort((a, b) => compareDistance(t, a.id, b.id))
+            .slice(0, 200)
+            .map((n) => n.id.toString('hex'));
+        assert.deepEqual(rt.closest(t, 200).map((n) => n.id.toString('hex')), expected);
+      }
+    });
+  });
 
   it('can save state');
   it('can load state');
@@ -1,5 +1,6 @@
 import assert from 'assert';
-import { computeSecureNodeId } from '#root/src/security';
+import DHT from '#root/src/index';
+import { computeSecureNodeId, verifySecureNodeId } from '#root/src/security';
 
 
 describe('BEP42 - DHT Security Extension', () => {
@@ -23,4 +24,79 @@ describe('BEP42 - DHT Security Extension', () => {
       assert.equal(e[19], v[1]);
     });
   });
-});
\ No newline at end of file
+
+  it('verifies node ids against the ip address.', () => {
+    const id = computeSecureNodeId('124.31.75.21', 1);
+    assert(verifySecureNodeId(id, '124.31.75.21'));
+    assert(!verifySecureNodeId(id, '21.75.31.124'));
+
+    // the low bits of the third byte are random
+    id[2] ^= 0x07;
+    assert(verifySecureNodeId(id, '124.31.75.21'));
+    id[2] ^= 0x08;
+    assert(!verifySecureNodeId(id, '124.31.75.21'));
+  });
+
+  it('verifies IPv6 node ids.', () => {
+    const id = computeSecureNodeId('2001:db8:85a3::8a2e:370:7334', 42);
+    assert(verifySecureNodeId(id, '2001:db8:85a3::8a2e:370:7334'));
+    assert(!verifySecureNodeId(id, '2001:db8:85a4::8a2e:370:7334'));
+  });
+
+  it('exempts local network addresses.', () => {
+    const id = Buffer.alloc(20);
+    ['10.0.0.1', '127.0.0.1', '172.16.4.4', '192.168.1.1', '169.254.0.1', '::1']
+        .forEach((ip) => assert(verifySecureNodeId(id, ip), ip));
+    assert(!verifySecureNodeId(id, '172.32.4.4'));
+  });
+
+  describe('external address discovery', () => {
+    let dht = null;
+
+    afterEach(() => dht.dispose());
+
+    // have a number of distinct nodes vote for an address
+    function vote(address, voters, offset=0) {
+      for (let i = 0; i < voters; i++) {
+        dht.rpc_.emit('ip', { address, family: 'ipv4', port: 6881 },
+            { id: Buffer.alloc(20, i), address: `8.8.8.${offset + i}`, port: 6881 });
+      }
+    }
+
+    it('emits \'external-ip\' when the votes reach a consensus.', () => {
+      dht = new DHT({ bootstrapNodes: [] });
+      const seen = [];
+      dht.on('external-ip', (ip) => seen.push(ip));
+
+      vote('124.31.75.21', 3);
+      assert.deepEqual(seen, []);
+      vote('124.31.75.21', 3, 3);
+      assert.deepEqual(seen, [{ address: '124.31.75.21', family: 'ipv4' }]);
+
+      // the address changes once the majority of voters see a new one
+      vote('21.75.31.124', 8, 10);
+      assert.deepEqual(seen[1], { address: '21.75.31.124', family: 'ipv4' });
+      assert.equal(seen.length, 2);
+    });
+
+    it('adopts a secure node id for the external address.', () => {
+      const id = Buffer.alloc(20, 0xaa);
+      dht = new DHT({ bootstrapNodes: [], id, autoSecureId: true });
+      dht.nodes_.recordResponse({
+        id: Buffer.alloc(20, 0x11), address: '8.8.8.8', port: 6881, family: 'ipv4'
+      });
+
+      vote('124.31.75.21', 4);
+      assert(verifySecureNodeId(dht.id, '124.31.75.21'));
+      assert.equal(dht.nodes_.localId, dht.id);
+      assert.equal(dht.nodes_.length, 1);
+    });
+
+    it('keeps its node id unless asked to adopt a secure one.', () => {
+      const id = Buffer.alloc(20, 0xaa);
+      dht = new DHT({ bootstrapNodes: [], id });
+      vote('124.31.75.21', 4);
+      assert.equal(dht.id, id);
+    });
+  });
+});
@@ -114,11 +114,239 @@ describe('BEP44 - DHT Storage Extension', () => {
     assert.equal(mutval.v.toString(), '2/test-mutable-w-salt');
   });
 
-  it('Will reject mutable data that isn\'t signed properly');
-  it('Will reject mutable data that is has a lower sequence number.');
-  it('Supports Compare and Swap semantics.');
-  it('Will refuse to store data if the token is missing or incorrect.');
+  // send a put straight to a node, with a valid write token
+  async function putTo(from, to, args) {
+    const peer = { address: '127.0.0.1', port: to.socket_.address().port };
+    const target = args.k ?
+        sha1(args.salt ? Buffer.concat([args.k, args.salt]) : args.k) :
+        sha1(bencode.encode(args.v));
+    const { node } = await from.rpc_.query(peer, 'get', {
+      id: from.id, target: target
+    });
+    return from.rpc_.query(peer, 'put', { id: from.id, token: node.token, ...args });
+  }
+
+  function signed(keys, v, seq, opt_salt) {
+    const ref = { seq, v: Buffer.from(v) };
+    if (opt_salt) ref.salt = Buffer.from(opt_salt);
+    const sig = ed25519.sign(bencode.encode(ref).slice(1, -1),
+        keys.publicKey, keys.secretKey);
+    return { k: keys.publicKey, sig, ...ref };
+  }
+
+  it('Will reject mutable data that isn\'t signed properly', async () => {
+    const keys = ed25519.createKeyPair(ED_SEED);
+    const args = signed(keys, 'test', 1);
+    args.v = Buffer.from('tampered');
+
+    const res = await putTo(cluster[0], cluster[1], args);
+    assert.equal(res.error.code, 206);
+  });
+
+  it('Will reject mutable data that is has a lower sequence number.', async () => {
+    const keys = ed25519.createKeyPair(ED_SEED);
+    await cluster[4].put(keys.publicKey, (sign) => sign({
+      v: 'seq-2', seq: 2
+    }, keys.secretKey));
+
+    await assert.rejects(cluster[7].put(keys.publicKey, (sign) => sign({
+      v: 'seq-1', seq: 1
+    }, keys.secretKey)), { code: 302 });
+
+    // a different value with the same sequence number is also rejected
+    await assert.rejects(cluster[7].put(keys.publicKey, (sign) => sign({
+      v: 'seq-2-again', seq: 2
+    }, keys.secretKey)), { code: 302 });
+
+    const mutval = await cluster[15].get({ k: keys.publicKey });
+    assert.equal(mutval.v.toString(), 'seq-2');
+  });
+
+  it('Passes the newest value to the signing callback.', async () => {
+    const keys = ed25519.createKeyPair(ED_SEED);
+    await cluster[4].put(keys.publicKey, (sign) => sign({
+      v: 'rmw-3', seq: 3
+    }, keys.secretKey));
+
+    let prev = null;
+    await cluster[7].put(keys.publicKey, (sign, r) => {
+      prev = r;
+      return sign({ v: r.v.toString() + '+1' }, keys.secretKey);
+    });
+    assert.equal(prev.v.toString(), 'rmw-3');
+    assert.equal(prev.seq, 3);
+
+    const mutval = await cluster[15].get({ k: keys.publicKey });
+    assert.equal(mutval.v.toString(), 'rmw-3+1');
+    assert.equal(mutval.seq, 4);
+  });
+
+  it('Retries the put if the network has a higher sequence number.', async () => {
+    const keys = ed25519.createKeyPair(ED_SEED);
+    await cluster[4].put(keys.publicKey, (sign) => sign({
+      v: 'retry-2', seq: 2
+    }, keys.secretKey));
+
+    // the first attempt signs a stale sequence number
+    let calls = 0;
+    const update = (sign) => sign(calls++ === 0 ?
+        { v: 'retry', seq: 1 } : { v: 'retry' }, keys.secretKey);
+
+    await assert.rejects(cluster[7].put(keys.publicKey, update), { code: 302 });
+
+    calls = 0;
+    await cluster[7].put(keys.publicKey, { retries: 1 }, update);
+    assert.equal(calls, 2);
+
+    const mutval = await cluster[15].get({ k: keys.publicKey });
+    assert.equal(mutval.v.toString(), 'retry');
+    assert.equal(mutval.seq, 3);
+  });
+
+  it('Supports Compare and Swap semantics.', async () => {
+    const keys = ed25519.createKeyPair(ED_SEED);
+    await cluster[4].put(keys.publicKey, (sign) => sign({
+      v: 'cas-1', seq: 1
+    }, keys.secretKey));
+
+    await assert.rejects(cluster[7].put(keys.publicKey, { cas: 0 }, (sign) => sign({
+      v: 'cas-2', seq: 2
+    }, keys.secretKey)), { code: 301 });
+
+    await cluster[7].put(keys.publicKey, { cas: 1 }, (sign) => sign({
+      v: 'cas-2', seq: 2
+    }, keys.secretKey));
+
+    const mutval = await cluster[15].get({ k: keys.publicKey });
+    assert.equal(mutval.v.toString(), 'cas-2');
+  });
+
+  it('Will reject values and salts that are too big.', async () => {
+    const keys = ed25519.createKeyPair(ED_SEED);
+
+    let res = await putTo(cluster[0], cluster[1], { v: Buffer.alloc(1001) });
+    assert.equal(res.error.code, 205);
+
+    res = await putTo(cluster[0], cluster[1],
+        signed(keys, 'test', 1, 'x'.repeat(65)));
+    assert.equal(res.error.code, 207);
+  });
+
+  it('Will refuse to store data if the token is missing or incorrect.', async () => {
+    const peer = { address: '127.0.0.1', port: cluster[1].socket_.address().port };
+    let res = await cluster[0].rpc_.query(peer, 'put', {
+      id: cluster[0].id, v: 'no-token'
+    });
+    assert.equal(res.error.code, 203);
+
+    res = await cluster[0].rpc_.query(peer, 'put', {
+      id: cluster[0].id, v: 'bad-token', token: Buffer.from('bad')
+    });
+    assert.equal(res.error.code, 203);
+  });
+  it('Can abort gets and puts.', async () => {
+    const keys = ed25519.createKeyPair(ED_SEED);
+    const signal = AbortSignal.abort();
+
+    await assert.rejects(cluster[2].get({ k: keys.publicKey, signal }),
+                         { name: 'AbortError' });
+    await assert.rejects(cluster[2].get(sha1('test'), { signal }),
+                         { name: 'AbortError' });
+    await assert.rejects(cluster[2].put('aborted', { signal }),
+                         { name: 'AbortError' });
+    await assert.rejects(cluster[4].put(keys.publicKey, { signal }, (sign) =>
+        sign({ v: 'aborted' }, keys.secretKey)), { name: 'AbortError' });
+
+    assert.equal(await cluster[2].get({ k: keys.publicKey }), undefined);
+  });
+
+  it('Rejects puts that no node stored.', async () => {
+    const keys = ed25519.createKeyPair(ED_SEED);
+    const query = cluster[2].rpc_.query.bind(cluster[2].rpc_);
+    cluster[2].rpc_.query = (peer, method, args, opts) => method !== 'put' ?
+        query(peer, method, args, opts) :
+        Promise.resolve(peer.map(() => ({ error: new Error('Timeout') })));
+
+    await assert.rejects(cluster[2].put('unstored'), /Timeout/);
+    await assert.rejects(cluster[2].put(keys.publicKey, (sign) =>
+        sign({ v: 'unstored' }, keys.secretKey)), /Timeout/);
+
+    // nor when there is no node to store it on
+    cluster[2].closest_ = () => Promise.resolve({ closest: [] });
+    await assert.rejects(cluster[2].put('unstored'), /No nodes/);
+  });
+
   it('Will refuse to store data if it knows about closer nodes.');
+
+  describe('mutable get', () => {
+    const storeOf = (n) => n.extensions_[0].store_;
+
+    // store seq 1 on the network, then seq 2 on a single node only
+    async function diverge(keys) {
+      await cluster[4].put(keys.publicKey, (sign) => sign({
+        v: 'seq-1', seq: 1
+      }, keys.secretKey));
+
+      const target = sha1(keys.publicKey);
+      const holders = cluster.filter((n) => storeOf(n).get(target));
+      const newest = holders[holders.length - 1];
+      const res = await putTo(cluster[4], newest, signed(keys, 'seq-2', 2));
+      assert.equal(res.error, undefined);
+      return { target, holders, newest };
+    }
+
+    it('Returns the highest sequence number on the network.', async () => {
+      const keys = ed25519.createKeyPair(ED_SEED);
+      const { holders } = await diverge(keys);
+
+      const asker = cluster.find((n) => !holders.includes(n));
+      const mutval = await asker.get({ k: keys.publicKey });
+      assert.equal(mutval.v.toString(), 'seq-2');
+      assert.equal(mutval.seq, 2);
+    });
+
+    it('Reports the nodes that hold stale copies.', async () => {
+      const keys = ed25519.createKeyPair(ED_SEED);
+      const { holders, newest } = await diverge(keys);
+
+      const asker = cluster.find((n) => !holders.includes(n));
+      const mutval = await asker.get({ k: keys.publicKey, includeStale: true });
+      assert.equal(mutval.seq, 2);
+
+      const stalePorts = mutval.stale.map((n) => n.port).sort();
+      const expected = holders.filter((n) => n !== newest)
+          .map((n) => n.socket_.address().port).sort();
+      assert.deepEqual(stalePorts, expected);
+    });
+
+    it('Only returns values newer than the given sequence number.', async () => {
+      const keys = ed25519.createKeyPair(ED_SEED);
+      const { holders } = await diverge(keys);
+
+      const asker = cluster.find((n) => !holders.includes(n));
+      assert.equal(await asker.get({ k: keys.publicKey, seq: 2 }), undefined);
+
+      const mutval = await asker.get({ k: keys.publicKey, seq: 1 });
+      assert.equal(mutval.v.toString(), 'seq-2');
+    });
+
+    it('Doesn\'t send values the requester already has.', async () => {
+      const keys = ed25519.createKeyPair(ED_SEED);
+      const { target, newest } = await diverge(keys);
+
+      const peer = { address: '127.0.0.1', port: newest.socket_.address().port };
+      let res = await cluster[0].rpc_.query(peer, 'get', {
+        id: cluster[0].id, target, seq: 2
+      });
+      assert.equal(res.r.seq, 2);
+      assert.equal(res.r.v, undefined);
+
+      res = await cluster[0].rpc_.query(peer, 'get', {
+        id: cluster[0].id, target, seq: 1
+      });
+      assert.equal(res.r.v.toString(), 'seq-2');
+    });
+  });
 });
 
 function sha1(data) {
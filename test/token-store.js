@@ -0,0 +1,65 @@
+import assert from 'assert';
+import sinon from 'sinon';
+import TokenStore from '#root/src/token-store';
+import { sha1 } from '#root/src/util';
+
+
+describe('The token store', () => {
+  const node = { address: '1.2.3.4', port: 6881 };
+  const target = sha1('target');
+  let clock = null;
+  let store = null;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers();
+  });
+
+  afterEach(() => {
+    store.dispose();
+    clock.restore();
+  });
+
+  it('binds tokens to the target and the node address', () => {
+    store = new TokenStore();
+    const token = store.getWriteToken(target, node);
+
+    assert(store.verifyToken(token, target, node));
+    assert(store.verifyToken(token, target, { address: '1.2.3.4', port: 1 }));
+    assert(!store.verifyToken(token, sha1('other'), node));
+    assert(!store.verifyToken(token, target, { address: '4.3.2.1', port: 6881 }));
+    assert(!store.verifyToken(undefined, target, node));
+  });
+
+  it('mixes a secret into the tokens', () => {
+    store = new TokenStore();
+    const other = new TokenStore();
+    assert(!store.getWriteToken(target, node).equals(other.getWriteToken(target, node)));
+    assert(!store.getWriteToken(target, node).equals(sha1(Buffer.concat([target, Buffer.from(node.address)]))));
+    other.dispose();
+  });
+
+  it('accepts tokens of the previous secret within the grace period', () => {
+    store = new TokenStore({ rotationInterval: 1000, gracePeriod: 1000 });
+    const token = store.getWriteToken(target, node);
+
+    clock.tick(1000);
+    assert(!store.getWriteToken(target, node).equals(token));
+    assert(store.verifyToken(token, target, node));
+
+    clock.tick(999);
+    assert(store.verifyToken(token, target, node));
+
+    clock.tick(1);
+    assert(!store.verifyToken(token, target, node));
+  });
+
+  it('can be configured with a longer grace period', () => {
+    store = new TokenStore({ rotationInterval: 1000, gracePeriod: 3000 });
+    const token = store.getWriteToken(target, node);
+
+    clock.tick(3500);
+    assert(store.verifyToken(token, target, node));
+    clock.tick(500);
+    assert(!store.verifyToken(token, target, node));
+  });
+});
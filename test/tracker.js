@@ -1,5 +1,8 @@
 import assert from 'assert'
 ;
+import { once } from 'events';
+import sinon from 'sinon';
+import DHT from '#root/src/index';
 import { createCluster, destroyCluster } from '#root/test/util';
 import { sha1 } from '#root/src/util';
 import { distance } from '#root/src/routing';
@@ -73,6 +76,71 @@ describe('The DHT tracker methods', () => {
     });
 
     it('Will respond with closer nodes if no peer has announced.');
+
+    it('Streams peers as they are found.', async () => {
+      const target = sha1('streamed');
+      await Promise.all([
+        cluster[2].announce_peer(target, 1234),
+        cluster[14].announce_peer(target, 5678)
+      ]);
+
+      const ports = [];
+      for await (const peer of cluster[15].lookupPeers(target)) {
+        ports.push(peer.port);
+      }
+      assert.deepEqual(ports.sort(), [1234, 5678]);
+    });
+
+    it('Stops the lookup when the stream is closed.', async () => {
+      const target = sha1('streamed-break');
+      await cluster[2].announce_peer(target, 1234);
+
+      let queries = 0;
+      const query = cluster[15].rpc_.query.bind(cluster[15].rpc_);
+      cluster[15].rpc_.query = (peer, method, args) => {
+        queries++;
+        return query(peer, method, args);
+      };
+
+      let peer = null;
+      for await (peer of cluster[15].lookupPeers(target)) break;
+      assert.equal(peer.port, 1234);
+
+      const sent = queries;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      assert.equal(queries, sent);
+
+      // a stopped lookup isn't reused by an announce
+      assert.equal(cluster[15].recentLookups_.has(target.toString('hex')), false);
+    });
+
+    it('Only remembers finished lookups that found writable nodes.', async () => {
+      const target = sha1('remembered');
+      const key = target.toString('hex');
+      await assert.rejects(
+          cluster[2].get_peers(target, { signal: AbortSignal.abort() }));
+      assert.equal(cluster[2].recentLookups_.has(key), false);
+
+      const lone = new DHT({ bootstrapNodes: [] });
+      await lone.listen(0, '127.0.0.1');
+      try {
+        await lone.get_peers(target);
+        assert.equal(lone.recentLookups_.has(key), false);
+      } finally {
+        lone.dispose();
+      }
+
+      await cluster[2].get_peers(target);
+      assert(cluster[2].recentLookups_.get(key).every((node) => node.token));
+    });
+  });
+
+  it('Replies with an error to unknown query methods', async () => {
+    const peer = { address: '127.0.0.1', port: cluster[3].socket_.address().port };
+    const res = await cluster[0].rpc_.query(peer, 'not_a_method', {
+      'id': cluster[0].id
+    });
+    assert.equal(res.error.code, 204);
   });
 
   describe("'announce_peer'", () => {
@@ -118,7 +186,290 @@ describe('The DHT tracker methods', () => {
       assert.deepEqual(new Set(p1.map((p) => p.port)),
                        new Set([33334, 22222]));
     });
+    it('Will reply with a protocol error when the token is bad.', async () => {
+      const peer = { address: '127.0.0.1', port: cluster[3].socket_.address().port };
+      const res = await cluster[0].rpc_.query(peer, 'announce_peer', {
+        'id': cluster[0].id,
+        'info_hash': sha1('bad-token'),
+        'port': 1234,
+        'token': Buffer.from('not-a-token')
+      });
+      assert.equal(res.error.code, 203);
+      assert.equal(res.error.description, 'Bad token');
+    });
+
+    it('Will look the nodes up again after announcing to none.', async () => {
+      const target = sha1('announce-alone');
+      const lone = new DHT({ bootstrapNodes: [] });
+      await lone.listen(0, '127.0.0.1');
+
+      try {
+        assert.deepEqual(await lone.announce_(target, 1234),
+                         { succeeded: 0, failed: 0 });
+
+        // once nodes join the announce reaches them
+        await lone.ping({ address: '127.0.0.1',
+                          port: cluster[0].socket_.address().port });
+        const { succeeded } = await lone.announce_(target, 1234);
+        assert(succeeded > 0);
+        const peers = await cluster[15].get_peers(target);
+        assert.deepEqual(peers.map((p) => p.port), [1234]);
+      } finally {
+        lone.dispose();
+      }
+    });
+
     it('Will not duplicate peer information.');
     it('Will use the originating port if `implied_port` is set.');
   });
-})
\ No newline at end of file
+
+  describe('announcer', () => {
+    it('Keeps announcing an infohash until it is removed.', async () => {
+      const target = sha1('announcer');
+      const announcer = cluster[2].announcer;
+      announcer.interval_ = 20;
+
+      announcer.add(target, { port: 4321 });
+      assert(announcer.has(target));
+      const [round] = await once(announcer, 'announce');
+      assert(round.infohash.equals(target));
+      assert(round.succeeded > 0);
+      assert.equal(round.failed, 0);
+
+      const peers = await cluster[15].get_peers(target);
+      assert.deepEqual(peers.map((p) => p.port), [4321]);
+
+      // it announces again after the interval
+      await once(announcer, 'announce');
+
+      assert.equal(announcer.remove(target), true);
+      assert.equal(announcer.has(target), false);
+      let rounds = 0;
+      announcer.on('announce', () => rounds++);
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      assert.equal(rounds, 0);
+    });
+
+    it('Reuses the tokens of a recent \'get_peers\'.', async () => {
+      const target = sha1('announcer-tokens');
+      await cluster[2].get_peers(target);
+
+      const queries = [];
+      const query = cluster[2].rpc_.query.bind(cluster[2].rpc_);
+      cluster[2].rpc_.query = (peer, method, args) => {
+        queries.push(method);
+        return query(peer, method, args);
+      };
+      await cluster[2].announce_peer(target, 1234);
+      assert(queries.length > 0);
+      assert(queries.every((m) => m === 'announce_peer'));
+
+      const peers = await cluster[15].get_peers(target);
+      assert.deepEqual(peers.map((p) => p.port), [1234]);
+    });
+  });
+
+  describe("'scrape'", () => {
+    it('Estimates the seeders and leechers of a swarm.', async () => {
+      const target = sha1('scrape');
+      assert.deepEqual(await cluster[3].scrape(target),
+                       { seeders: 0, leechers: 0 });
+
+      // every node in the cluster shares an ip, so counts as one peer
+      await cluster[2].announce_peer(target, 1234, true);
+      assert.deepEqual(await cluster[3].scrape(target),
+                       { seeders: 1, leechers: 0 });
+
+      await cluster[14].announce_peer(target, 5678);
+      assert.deepEqual(await cluster[3].scrape(target),
+                       { seeders: 1, leechers: 1 });
+    });
+
+    it('Only replies with the bloom filters when asked to.', async () => {
+      const peer = { address: '127.0.0.1', port: cluster[3].socket_.address().port };
+      let res = await cluster[0].rpc_.query(peer, 'get_peers', {
+        'id': cluster[0].id,
+        'info_hash': sha1('scrape')
+      });
+      assert.equal(res.r.BFsd, undefined);
+      assert.equal(res.r.BFpe, undefined);
+
+      res = await cluster[0].rpc_.query(peer, 'get_peers', {
+        'id': cluster[0].id,
+        'info_hash': sha1('scrape'),
+        'scrape': 1
+      });
+      assert.equal(res.r.BFsd.length, 256);
+      assert.equal(res.r.BFpe.length, 256);
+    });
+  });
+
+  describe("'sample_infohashes'", () => {
+    it('Replies with a sample of the announced infohashes.', async () => {
+      const targets = ['sample-1', 'sample-2'].map(sha1);
+      for (let t of targets) await cluster[2].announce_peer(t, 1234);
+
+      const holder = cluster.find((n) => n.announcedPeers_.size() === 2);
+      const peer = { address: '127.0.0.1', port: holder.socket_.address().port };
+      const res = await cluster[0].rpc_.query(peer, 'sample_infohashes', {
+        'id': cluster[0].id,
+        'target': targets[0]
+      });
+      assert.equal(res.r.num, 2);
+      assert.equal(res.r.samples.length, 40);
+      assert(res.r.interval > 0);
+      assert(res.r.nodes.length > 0);
+    });
+
+    it('Samples the infohashes near a target.', async () => {
+      const target = sha1('sample-near');
+      await cluster[2].announce_peer(target, 1234);
+
+      const samples = await cluster[9].sample_infohashes(target);
+      assert.deepEqual(samples.map((s) => s.toString('hex')),
+                       [target.toString('hex')]);
+    });
+
+    it('Crawls the keyspace for infohashes.', async function() {
+      this.timeout(10000);
+      const targets = ['crawl-1', 'crawl-2', 'crawl-3'].map(sha1);
+      for (let t of targets) await cluster[2].announce_peer(t, 1234);
+
+      const found = new Set();
+      for await (let infohash of cluster[9].crawlInfohashes()) {
+        found.add(infohash.toString('hex'));
+      }
+      assert.deepEqual(found, new Set(targets.map((t) => t.toString('hex'))));
+    });
+
+    it('Samples each node once, and not again within its interval.', async function() {
+      this.timeout(10000);
+      await cluster[2].announce_peer(sha1('crawl-once'), 1234);
+
+      const sampled = new Map();
+      const listeners = cluster.map((n, i) => {
+        const onQuery = (method) => {
+          if (method === 'sample_infohashes') {
+            sampled.set(i, (sampled.get(i) || 0) + 1);
+          }
+        };
+        n.rpc_.on('query', onQuery);
+        return onQuery;
+      });
+      const crawl = async () => {
+        const found = [];
+        for await (let infohash of cluster[9].crawlInfohashes()) {
+          found.push(infohash);
+        }
+        return found;
+      };
+
+      assert.equal((await crawl()).length, 1);
+      assert(sampled.size > 0);
+      assert([...sampled.values()].every((count) => count === 1));
+
+      // the nodes holding the infohash gave an interval, the others have no
+      // sample to keep
+      const holders = cluster.filter((n) => n.announcedPeers_.size() > 0);
+      assert(holders.length > 0);
+      sampled.clear();
+      assert.equal((await crawl()).length, 0);
+      holders.forEach((n) => assert(!sampled.has(cluster.indexOf(n))));
+      cluster.forEach((n, i) => n.rpc_.off('query', listeners[i]));
+    });
+  });
+})
+
+
+describe('The announced peer store', () => {
+  const target = sha1('peer-store');
+  let clock = null;
+  let dht = null;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers();
+    dht = new DHT({
+      bootstrapNodes: [],
+      peers: { ttl: 1000, maxPerInfohash: 3, maxTotal: 4 }
+    });
+  });
+
+  afterEach(() => {
+    dht.dispose();
+    clock.restore();
+  });
+
+  function announce(address, opt_target=target) {
+    const node = { id: sha1(address), address, port: 6881, family: 'ipv4' };
+    return dht.handleAnnouncePeer_({
+      id: node.id,
+      info_hash: opt_target,
+      port: 1234,
+      implied_port: 0,
+      token: dht.announcedPeers_.getWriteToken(opt_target, node)
+    }, node);
+  }
+
+  function getPeers(opt_target=target) {
+    const node = { id: sha1('requester'), address: '1.1.1.1', port: 6881 };
+    const r = dht.handleGetPeers_({ id: node.id, info_hash: opt_target }, node);
+    return r.values || [];
+  }
+
+  it('Expires peers that haven\'t re-announced.', () => {
+    announce('1.0.0.1');
+    clock.tick(600);
+    announce('1.0.0.2');
+    assert.equal(getPeers().length, 2);
+
+    clock.tick(600);
+    assert.equal(getPeers().length, 1);
+
+    // re-announcing refreshes the peer
+    announce('1.0.0.2');
+    clock.tick(600);
+    assert.equal(getPeers().length, 1);
+    clock.tick(600);
+    assert.equal(getPeers().length, 0);
+    assert.equal(dht.announcedPeers_.size(), 0);
+  });
+
+  it('Drops the oldest peer when an infohash is full.', () => {
+    ['1.0.0.1', '1.0.0.2', '1.0.0.3', '1.0.0.4'].forEach((a) => announce(a));
+
+    const addresses = getPeers().map((p) => p.subarray(0, 4).join('.'));
+    assert.deepEqual(new Set(addresses),
+                     new Set(['1.0.0.2', '1.0.0.3', '1.0.0.4']));
+  });
+
+  it('Refuses new peers when the store is full.', () => {
+    ['1.0.0.1', '1.0.0.2', '1.0.0.3'].forEach((a) => announce(a));
+    announce('1.0.0.4', sha1('other'));
+    assert.throws(() => announce('1.0.0.5', sha1('other')), { code: 202 });
+
+    // but there is room again once peers expire
+    clock.tick(1001);
+    announce('1.0.0.5', sha1('other'));
+    assert.equal(getPeers(sha1('other')).length, 1);
+  });
+
+  it('Makes room for the peers of infohashes the store drops.', () => {
+    dht.peerOptions_.maxTotal = 1000;
+    for (let i = 0; i < 501; i++) announce('1.0.0.1', sha1(`infohash-${i}`));
+
+    // the least recently used infohash made way for the last
+    assert.equal(dht.announcedPeers_.size(), 500);
+    assert.equal(getPeers(sha1('infohash-0')).length, 0);
+    assert.equal(dht.peerExpiry_.size, 500);
+  });
+
+  it('Only replies with as many peers as fit in a packet.', () => {
+    dht.peerOptions_.maxPerInfohash = 1000;
+    dht.peerOptions_.maxTotal = 1000;
+    for (let i = 0; i < 300; i++) announce(`1.0.${i >> 8}.${i & 0xff}`);
+
+    const values = getPeers();
+    assert(values.length > 100 && values.length < 300);
+    assert(values.length * 8 < 1232);
+  });
+});
@@ -2,22 +2,28 @@ import DHT from '#root/src/index';
 
 
 
-export async function createCluster(n, port_start) {
+const LOOPBACK = { 'ipv4': '127.0.0.1', 'ipv6': '::1' };
+
+
+export async function createCluster(n, port_start, opt_options={}) {
   const ids = Array.isArray(n) ? n : [];
   n = Array.isArray(n) ? n.length : n;
 
+  const families = opt_options.families || ['ipv4'];
   const nodes = [];
 
   // create first node manually since we need a bound socket to bootstrap
   const bootstrap = new DHT({
+    ...opt_options,
     bootstrapNodes: [],
     id: ids[0]
   });
-  await bootstrap.listen(port_start, '127.0.0.1');
+  await bootstrap.listen(port_start, LOOPBACK[families[0]]);
 
   for (let i = 1; i < n; i++) {
     let node = new DHT({
-      bootstrapNodes: [{ address: '127.0.0.1', port: port_start }],
+      ...opt_options,
+      bootstrapNodes: families.map((f) => ({ address: LOOPBACK[f], port: port_start })),
       id: ids[i]
     });
     nodes.push(node);